@@ -34,6 +34,8 @@
 	Node parent;  // pointer to the parent node; null if root
 	Node[] child; // array of pointers to child nodes
 	String name;  // name of the current node
+	String meta;  // bracket comments other than NHX, kept as is
+	Object nhx;   // NHX tags, e.g. {S:"HUMAN", D:false, B:100}
 	double d;     // distance to the parent node
 	bool hl;      // if the node needs to be highlighted
 	bool hidden;  // if the node and all its desendants are collapsed
@@ -41,7 +43,7 @@
 
   class Tree {
 	Node[] node;  // list of nodes in the finishing order (the leftmost leaf is the first and the root the last)
-	int error;    // errors in parsing: 0x1=missing left parenthesis; 0x2=missing right; 0x4=unpaired brackets
+	int error;    // errors in parsing: 0x1=missing left parenthesis; 0x2=missing right; 0x4=unpaired brackets; 0x8=no tree in NEXUS/phyloXML
 	int n_tips;   // number of tips/leaves in the tree
   };
 
@@ -61,12 +63,36 @@
  ********************************************/
 
 function kn_new_node() { // private method
-	return {parent:null, child:[], name:"", meta:"", d:-1.0, hl:false, hidden:false};
+	return {parent:null, child:[], name:"", meta:"", nhx:{}, d:-1.0, hl:false, hidden:false};
+}
+
+/* Canonical order of NHX tags in the output; other tags follow in the alphabetical order */
+var kn_nhx_order = ['GN', 'AC', 'ND', 'S', 'T', 'E', 'O', 'SO', 'SIS', 'D', 'B', 'L', 'Sw', 'Co'];
+
+function kn_nhx_value(str) // private method
+{
+	if (str == 'Y' || str == 'y') return true;
+	if (str == 'N' || str == 'n') return false;
+	if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(str)) return parseFloat(str);
+	return str;
+}
+
+/* Parse a "[&&NHX:K=V:...]" comment into the key-value object nhx. Values
+ * are kept as written, such that they are output unchanged; use kn_nhx_get()
+ * to get them as numbers or booleans. */
+function kn_nhx_parse(nhx, str)
+{
+	var s = str.replace(/^\[&&NHX/i, '').replace(/\]$/, '').split(':');
+	for (var i = 0; i < s.length; ++i) {
+		var j = s[i].indexOf('=');
+		if (j > 0) nhx[s[i].substr(0, j)] = s[i].substr(j + 1);
+	}
+	return nhx;
 }
 
 function kn_add_node(str, l, tree, x) // private method
 {
-	var r, beg, end = 0, z;
+	var i, r, beg, end = 0, z;
 	z = kn_new_node();
 	for (i = l, beg = l; i < str.length && str.charAt(i) != ',' && str.charAt(i) != ')'; ++i) {
 		var c = str.charAt(i);
@@ -78,7 +104,11 @@ function kn_add_node(str, l, tree, x) // private method
 				tree.error |= 4;
 				break;
 			}
-			z.meta = str.substr(meta_beg, i - meta_beg + 1);
+			var cmt = str.substr(meta_beg, i - meta_beg + 1);
+			if (/^\[&&NHX/i.test(cmt)) {
+				if (z.nhx_at == null) z.nhx_at = z.meta.length; // other comments before it, written back in this order
+				kn_nhx_parse(z.nhx, cmt);
+			} else z.meta += cmt;
 		} else if (c == ':') {
 			if (end == 0) end = i;
 			for (var j = ++i; i < str.length; ++i) {
@@ -88,7 +118,8 @@ function kn_add_node(str, l, tree, x) // private method
 			}
 			z.d = parseFloat(str.substr(j, i - j));
 			--i;
-		} else if (c < '!' && c > '~' && end == 0) end = i;
+		} else if (c == ';' && end == 0) end = i; // the end of the tree is not part of the name
+		else if (c < '!' && c > '~' && end == 0) end = i;
 	}
 	if (end == 0) end = i;
 	if (end > beg) z.name = str.substr(beg, end - beg);
@@ -134,40 +165,109 @@ function kn_parse(str)
 	}
 	if (stack.length > 1) tree.error |= 2;
 	tree.root = tree.node[tree.node.length - 1];
+	if (!tree.error) kn_view_restore(tree);
 	return tree;
 }
 
+/* Return the highlight color "c" if it is #RGB, #RRGGBB, rgb(r,g,b) or a
+ * color name, or null otherwise, such that a tree from elsewhere cannot put
+ * markup into node.box */
+function kn_box_check(c) // private method
+{
+	c = String(c).replace(/^\s+|\s+$/g, '');
+	return /^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|rgb\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*\)|[A-Za-z]{1,20})$/.test(c)? c : null;
+}
+
+/* Move the view state saved by kn_write_nh() from the reserved NHX tags _box
+ * and _hidden to node.box and node.hidden; a _box that is not a color is dropped */
+function kn_view_restore(tree) // private method
+{
+	var n_hidden = 0;
+	for (var i = 0; i < tree.node.length; ++i) {
+		var p = tree.node[i];
+		if (p.nhx._box != null) {
+			var c = kn_box_check(p.nhx._box);
+			if (c != null) p.box = c;
+			delete p.nhx._box;
+		}
+		if (p.nhx._hidden != null) {
+			p.hidden = kn_nhx_get(p, '_hidden') === true && p.child.length > 0;
+			if (p.hidden) ++n_hidden;
+			delete p.nhx._hidden;
+		}
+	}
+	if (n_hidden) {
+		tree.node = kn_expand_node(tree.root);
+		kn_count_tips(tree);
+	}
+}
+
 /*********************************
  ***** Output a tree in text *****
  *********************************/
 
-/* convert a tree to the New Hampshire string */
-function kn_write_nh(tree)
+/* Convert a tree to a Newick string. If "view" is true, highlight colors and
+ * collapsed nodes are kept as the reserved NHX tags _box and _hidden. */
+function kn_write_nh(tree, view)
 {
+	// descendants of collapsed nodes are not in tree.node, but they must be written
+	var node = kn_expand_node(tree.node[tree.node.length-1], true);
 	// calculate the depth of each node
-	tree.node[tree.node.length-1].depth = 0;
-	for (var i = tree.node.length - 2; i >= 0; --i) {
-		var p = tree.node[i];
+	node[node.length-1].depth = 0;
+	for (var i = node.length - 2; i >= 0; --i) {
+		var p = node[i];
 		p.depth = p.parent.depth + 1;
 	}
 	// generate the string
 	var str = '';
 	var cur_depth = 0, is_first = 1;
-	for (var i = 0; i < tree.node.length; ++i) {
-		var p = tree.node[i];
+	for (var i = 0; i < node.length; ++i) {
+		var p = node[i];
 		var n_bra = p.depth - cur_depth;
 		if (n_bra > 0) {
 			if (is_first) is_first = 0;
 			else str += ",\n";
 			for (var j = 0; j < n_bra; ++j) str += "(";
 		} else if (n_bra < 0) str += "\n)";
-		else str += ",\n";
+		else if (i > 0) str += ",\n"; // not for a tree of a single node
 		if (p.name) str += String(p.name);
 		if (p.d >= 0.0) str += ":" + p.d;
-		if (p.meta) str += p.meta;
+		var meta = p.meta || '', k = p.nhx_at > 0? p.nhx_at : 0;
+		str += meta.substr(0, k) + kn_nhx_str(p, view) + meta.substr(k);
 		cur_depth = p.depth;
 	}
-	str += "\n";
+	str += ";\n";
+	return str;
+}
+
+/* Return the NHX comment of a node with tags in the canonical order, or "" if there are no tags.
+ * If "view" is true, the highlight color and the collapsed state are appended as _box and _hidden. */
+function kn_nhx_str(p, view)
+{
+	var keys = [], str = '';
+	for (var i = 0; i < kn_nhx_order.length; ++i)
+		if (p.nhx[kn_nhx_order[i]] != null) keys.push(kn_nhx_order[i]);
+	var other = [];
+	for (var k in p.nhx)
+		if (p.nhx[k] != null && kn_nhx_order.indexOf(k) < 0 && k != '_box' && k != '_hidden') other.push(k);
+	keys = keys.concat(other.sort());
+	for (var i = 0; i < keys.length; ++i) {
+		var v = p.nhx[keys[i]];
+		str += ':' + keys[i] + '=' + (v === true? 'Y' : v === false? 'N' : String(v));
+	}
+	if (view && p.box) str += ':_box=' + kn_color_hex(p.box);
+	if (view && p.hidden && p.child.length) str += ':_hidden=Y';
+	return str? '[&&NHX' + str + ']' : '';
+}
+
+/* Convert "rgb(r,g,b)" to "#RRGGBB", which can be put in an NHX tag */
+function kn_color_hex(c) // private method
+{
+	var m = /^\s*rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)\s*$/i.exec(c);
+	if (m == null) return String(c).replace(/[\s:=\[\]]/g, '');
+	var str = '#';
+	for (var i = 1; i <= 3; ++i)
+		str += (m[i] < 16? '0' : '') + Math.min(m[i], 255).toString(16).toUpperCase();
 	return str;
 }
 
@@ -183,19 +283,306 @@ function kn_check_tree(tree)
 	document.write("</table>");
 }
 
+/********************************
+ ***** The NEXUS TREES block *****
+ ********************************/
+
+/* Split "str" at character "sep" outside brackets and single quotes */
+function kn_nexus_split(str, sep) // private method
+{
+	var a = [], beg = 0, in_br = 0, in_qt = false;
+	for (var i = 0; i < str.length; ++i) {
+		var c = str.charAt(i);
+		if (in_qt) {
+			if (c == "'") in_qt = false;
+		} else if (c == "'") in_qt = true;
+		else if (c == '[') ++in_br;
+		else if (c == ']') --in_br;
+		else if (c == sep && in_br == 0) {
+			a.push(str.substr(beg, i - beg));
+			beg = i + 1;
+		}
+	}
+	a.push(str.substr(beg));
+	return a;
+}
+
+function kn_nexus_unquote(str) // private method
+{
+	str = str.replace(/^\s+|\s+$/g, '');
+	if (str.charAt(0) == "'" && str.charAt(str.length-1) == "'")
+		str = str.substr(1, str.length - 2).replace(/''/g, "'");
+	return str;
+}
+
+function kn_nexus_quote(str) // private method
+{
+	return /[\s()\[\]{}\/\\,;:=*'"`+\-<>]/.test(str)? "'" + str.replace(/'/g, "''") + "'" : str;
+}
+
+/* Parse the TREES block(s) of a NEXUS file. Return {tree:[{name, rooted, str}], translate:{}}
+ * where "str" is the Newick string and "rooted" is true for [&R], false for [&U] and null if absent. */
+function kn_parse_nexus(str)
+{
+	var nexus = {tree:[], translate:{}};
+	var re_beg = /begin\s+trees\s*;/ig, m;
+	while ((m = re_beg.exec(str)) != null) {
+		var stat = kn_nexus_split(str.substr(m.index + m[0].length), ';');
+		for (var i = 0; i < stat.length; ++i) {
+			var s = stat[i].replace(/^(\s|\[[^\]&]*\])+/, ''); // drop leading blanks and comments
+			var key = s.split(/\s/, 1)[0].toLowerCase();
+			if (key == 'end' || key == 'endblock') break;
+			if (key == 'translate') {
+				var pair = kn_nexus_split(s.substr(key.length), ',');
+				for (var j = 0; j < pair.length; ++j) {
+					var t = pair[j].replace(/^\s+/, ''), k = t.split(/\s/, 1)[0];
+					if (k != '') nexus.translate[kn_nexus_unquote(k)] = kn_nexus_unquote(t.substr(k.length));
+				}
+			} else if (key == 'tree' || key == 'utree') {
+				var k = kn_nexus_split(s, '=');
+				if (k.length < 2) continue;
+				var name = k[0].substr(key.length).replace(/\[[^\]]*\]/g, '').replace(/^\s*\*?/, '');
+				var nh = k.slice(1).join('='), rooted = key == 'utree'? false : null, r;
+				while ((r = /^\s*\[&([RrUu])\]/.exec(nh)) != null) {
+					rooted = r[1] == 'R' || r[1] == 'r';
+					nh = nh.substr(r[0].length);
+				}
+				while ((r = /^\s*\[[^\]]*\]/.exec(nh)) != null) nh = nh.substr(r[0].length); // other comments, e.g. [&lnP=...]
+				nexus.tree.push({name:kn_nexus_unquote(name), rooted:rooted, str:nh + ';'});
+			}
+		}
+	}
+	return nexus;
+}
+
+/* Parse the k-th tree in a parsed NEXUS file, applying the TRANSLATE table. For [&U], tree.rooted is set to false. */
+function kn_nexus_tree(nexus, k)
+{
+	var t = nexus.tree[k];
+	var tree = kn_parse(t.str);
+	tree.name = t.name;
+	tree.rooted = t.rooted;
+	for (var i = 0; i < tree.node.length; ++i) {
+		var p = tree.node[i];
+		if (p.child.length == 0 && nexus.translate[p.name] != null)
+			p.name = nexus.translate[p.name];
+	}
+	return tree; // the structure of an unrooted tree is kept as written
+}
+
+/* Convert a tree to a NEXUS file with a TAXA block and a TREES block */
+function kn_write_nexus(tree, name)
+{
+	var root = kn_clone_node(tree.node[tree.node.length-1]);
+	var node = kn_expand_node(root, true), taxa = [];
+	for (var i = 0; i < node.length; ++i)
+		if (node[i].child.length == 0) {
+			taxa.push(node[i].name);
+			node[i].name = String(taxa.length);
+		}
+	var nh = kn_write_nh({node:node}).replace(/\n/g, '').replace(/;$/, '') + ';';
+	var str = "#NEXUS\n\nBEGIN TAXA;\n\tDIMENSIONS NTAX=" + taxa.length + ";\n\tTAXLABELS\n";
+	for (var i = 0; i < taxa.length; ++i)
+		str += "\t\t" + kn_nexus_quote(taxa[i]) + "\n";
+	str += "\t;\nEND;\n\nBEGIN TREES;\n\tTRANSLATE\n";
+	for (var i = 0; i < taxa.length; ++i)
+		str += "\t\t" + (i + 1) + " " + kn_nexus_quote(taxa[i]) + (i == taxa.length - 1? "\n" : ",\n");
+	str += "\t;\n\tTREE " + kn_nexus_quote(name || tree.name || 'tree1') + " = " + (tree.rooted === false? "[&U] " : "[&R] ") + nh + "\nEND;\n";
+	return str;
+}
+
+/******************************
+ ***** The phyloXML format *****
+ ******************************/
+
+function kn_xml_escape(str) // private method
+{
+	return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function kn_xml_unescape(str) // private method
+{
+	return str.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#\d+);/g, function(m, e) {
+		if (e == 'lt') return '<';
+		if (e == 'gt') return '>';
+		if (e == 'amp') return '&';
+		if (e == 'quot') return '"';
+		if (e == 'apos') return "'";
+		return String.fromCharCode(e.charAt(1) == 'x'? parseInt(e.substr(2), 16) : parseInt(e.substr(1)));
+	});
+}
+
+/* A minimal XML parser. Each element is {tag, attr, child, text}; namespace prefixes are dropped. */
+function kn_xml_parse(str) // private method
+{
+	var root = {tag:'', attr:{}, child:[], text:''}, stack = [root], m;
+	var re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s>\/]+)((?:\s+[^\s=>\/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+	while ((m = re.exec(str)) != null) {
+		var top = stack[stack.length-1];
+		if (m[1] != null) top.text += m[1];
+		else if (m[2] != null) {
+			if (stack.length > 1) stack.pop();
+		} else if (m[3] != null) {
+			var e = {tag:m[3].replace(/^.*:/, ''), attr:{}, child:[], text:''}, a;
+			var re_attr = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+			while ((a = re_attr.exec(m[4])) != null)
+				e.attr[a[1]] = kn_xml_unescape(a[2] != null? a[2] : a[3]);
+			top.child.push(e);
+			if (!m[5]) stack.push(e);
+		} else if (m[6] != null) top.text += kn_xml_unescape(m[6]);
+	}
+	return root;
+}
+
+function kn_xml_child(e, tag) // private method
+{
+	for (var i = 0; i < e.child.length; ++i)
+		if (e.child[i].tag == tag) return e.child[i];
+	return null;
+}
+
+function kn_xml_text(e, tag) // private method
+{
+	var c = kn_xml_child(e, tag);
+	return c? c.text.replace(/^\s+|\s+$/g, '') : null;
+}
+
+/* The <phylogeny> elements of a phyloXML document */
+function kn_phyloxml_phylogenies(str) // private method
+{
+	var doc = kn_xml_child(kn_xml_parse(str), 'phyloxml'), phy = [];
+	if (doc) for (var i = 0; i < doc.child.length; ++i)
+		if (doc.child[i].tag == 'phylogeny') phy.push(doc.child[i]);
+	return phy;
+}
+
+/* Parse the k-th phylogeny in a phyloXML document and return a tree in the same structure as kn_parse() */
+function kn_parse_phyloxml(str, k)
+{
+	return kn_phyloxml_tree(kn_phyloxml_phylogenies(str)[k || 0]);
+}
+
+/* Build a tree from a <phylogeny> element; error 8 if it is missing or has no clade */
+function kn_phyloxml_tree(e) // private method
+{
+	var tree = {error:0, n_tips:0, node:[]};
+	if (e == null || kn_xml_child(e, 'clade') == null) {
+		tree.error |= 8;
+		return tree;
+	}
+	var t;
+	if ((t = kn_xml_text(e, 'name')) != null) tree.name = t;
+	if (e.attr.rooted != null) tree.rooted = e.attr.rooted == 'true';
+	var root = kn_new_node(), stack = [{e:kn_xml_child(e, 'clade'), p:root}];
+	while (stack.length) {
+		var x = stack.pop(), c = x.e, p = x.p, a;
+		if ((t = kn_xml_text(c, 'name')) != null) p.name = t;
+		if ((t = c.attr.branch_length) != null || (t = kn_xml_text(c, 'branch_length')) != null) p.d = parseFloat(t);
+		if ((t = kn_xml_text(c, 'confidence')) != null) p.nhx.B = t;
+		if ((a = kn_xml_child(c, 'taxonomy')) != null) {
+			if ((t = kn_xml_text(a, 'id')) != null) p.nhx.T = t;
+			if ((t = kn_xml_text(a, 'code')) != null || (t = kn_xml_text(a, 'scientific_name')) != null) p.nhx.S = t;
+		}
+		if ((a = kn_xml_child(c, 'sequence')) != null) {
+			if ((t = kn_xml_text(a, 'name')) != null) p.nhx.GN = t;
+			if ((t = kn_xml_text(a, 'accession')) != null) p.nhx.AC = t;
+		}
+		if ((a = kn_xml_child(c, 'events')) != null) {
+			if (parseInt(kn_xml_text(a, 'duplications')) > 0) p.nhx.D = true;
+			else if (parseInt(kn_xml_text(a, 'speciations')) > 0) p.nhx.D = false;
+		}
+		for (var i = 0; i < c.child.length; ++i) {
+			var ci = c.child[i];
+			if (ci.tag == 'clade') {
+				var q = kn_new_node();
+				q.parent = p; p.child.push(q);
+				stack.push({e:ci, p:q});
+			} else if (ci.tag == 'property' && ci.attr.ref) {
+				t = ci.text.replace(/^\s+|\s+$/g, '');
+				if (ci.attr.ref == 'jstree:box') p.box = kn_box_check(t) || p.box; // drop anything but a color
+				else if (ci.attr.ref == 'jstree:collapsed') p.hidden = t == 'true';
+				else if (/^nhx:/.test(ci.attr.ref))
+					p.nhx[ci.attr.ref.substr(4)] = ci.attr.datatype == 'xsd:boolean'? t == 'true' : t;
+			}
+		}
+		if (p.child.length == 0) p.hidden = false;
+	}
+	tree.root = root;
+	tree.node = kn_expand_node(root);
+	kn_count_tips(tree);
+	return tree;
+}
+
+/* Convert a tree to a phyloXML document. Highlight colors and collapsed nodes are kept as properties. */
+function kn_write_phyloxml(tree)
+{
+	var str = '<?xml version="1.0" encoding="UTF-8"?>\n'
+		+ '<phyloxml xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.phyloxml.org http://www.phyloxml.org/1.10/phyloxml.xsd" xmlns="http://www.phyloxml.org">\n'
+		+ '<phylogeny rooted="' + (tree.rooted === false? 'false' : 'true') + '">\n';
+	if (tree.name) str += '<name>' + kn_xml_escape(tree.name) + '</name>\n';
+	var prop = function(ref, type, val) {
+		return '<property ref="' + ref + '" datatype="' + type + '" applies_to="clade">' + kn_xml_escape(val) + '</property>';
+	};
+	var stack = [{p:tree.node[tree.node.length-1], i:0}];
+	while (stack.length) {
+		var x = stack[stack.length-1], p = x.p, indent = new Array(stack.length).join(' ');
+		if (x.i == 0) { // open the clade
+			var nhx = p.nhx, v, B = kn_nhx_get(p, 'B'), D = kn_nhx_get(p, 'D');
+			str += indent + '<clade>';
+			if (p.name) str += '<name>' + kn_xml_escape(p.name) + '</name>';
+			if (p.d >= 0.0) str += '<branch_length>' + p.d + '</branch_length>';
+			if (typeof B == 'number') str += '<confidence type="bootstrap">' + kn_xml_escape(nhx.B) + '</confidence>';
+			if (nhx.T != null || nhx.S != null) {
+				str += '<taxonomy>';
+				if (nhx.T != null) str += '<id>' + kn_xml_escape(nhx.T) + '</id>';
+				if (nhx.S != null) {
+					if (/^[a-zA-Z0-9_]{2,10}$/.test(nhx.S)) str += '<code>' + nhx.S + '</code>';
+					else str += '<scientific_name>' + kn_xml_escape(nhx.S) + '</scientific_name>';
+				}
+				str += '</taxonomy>';
+			}
+			if (nhx.GN != null || nhx.AC != null) {
+				str += '<sequence>';
+				if (nhx.AC != null) str += '<accession source="unknown">' + kn_xml_escape(nhx.AC) + '</accession>';
+				if (nhx.GN != null) str += '<name>' + kn_xml_escape(nhx.GN) + '</name>';
+				str += '</sequence>';
+			}
+			if (D === true) str += '<events><duplications>1</duplications></events>';
+			else if (D === false) str += '<events><speciations>1</speciations></events>';
+			for (var k in nhx) {
+				if (/^(B|T|S|GN|AC|D)$/.test(k) && !(k == 'B' && typeof B != 'number') && !(k == 'D' && typeof D != 'boolean')) continue;
+				if (nhx[k] == null || !/^[a-zA-Z0-9_]+$/.test(k)) continue;
+				v = kn_nhx_get(p, k);
+				if (typeof v == 'boolean') str += prop('nhx:' + k, 'xsd:boolean', String(v));
+				else str += prop('nhx:' + k, typeof v == 'number'? 'xsd:double' : 'xsd:string', nhx[k]);
+			}
+			if (p.box) str += prop('jstree:box', 'xsd:string', p.box);
+			if (p.hidden && p.child.length) str += prop('jstree:collapsed', 'xsd:boolean', 'true');
+			if (p.child.length) str += '\n';
+		}
+		if (x.i < p.child.length) {
+			stack.push({p:p.child[x.i++], i:0});
+		} else {
+			str += (p.child.length? indent : '') + '</clade>\n';
+			stack.pop();
+		}
+	}
+	return str + '</phylogeny>\n</phyloxml>\n';
+}
+
 /**********************************************
  ****** Functions for manipulating a tree *****
  **********************************************/
 
-/* Expand the tree into an array in the finishing order */
-function kn_expand_node(root)
+/* Expand the tree into an array in the finishing order; descend into collapsed nodes if "all" is true */
+function kn_expand_node(root, all)
 {
 	var node, stack;
 	node = new Array();
 	stack = new Array();
 	stack.push({p:root, i:0});
 	for (;;) {
-		while (stack[stack.length-1].i != stack[stack.length-1].p.child.length && !stack[stack.length-1].p.hidden) {
+		while (stack[stack.length-1].i != stack[stack.length-1].p.child.length && (all || !stack[stack.length-1].p.hidden)) {
 			var q = stack[stack.length-1];
 			stack.push({p:q.p.child[q.i], i:0});
 		}
@@ -206,6 +593,40 @@ function kn_expand_node(root)
 	return node;
 }
 
+/* Duplicate the subtree descending from root, including the view state (hl, hidden and box) */
+function kn_clone_node(root)
+{
+	var node = kn_expand_node(root, true);
+	for (var i = 0; i < node.length; ++i) {
+		var p = node[i], q = kn_new_node();
+		q.name = p.name; q.meta = p.meta; q.nhx_at = p.nhx_at; q.d = p.d;
+		for (var k in p.nhx) q.nhx[k] = p.nhx[k];
+		q.hl = p.hl; q.hidden = p.hidden; q.box = p.box;
+		for (var j = 0; j < p.child.length; ++j) {
+			q.child[j] = p.child[j].clone;
+			q.child[j].parent = q;
+		}
+		p.clone = q;
+	}
+	var z = root.clone;
+	for (var i = 0; i < node.length; ++i) delete node[i].clone;
+	return z;
+}
+
+/* Get the value of an NHX tag, with numbers as numbers and Y/N as true/false; undefined if the tag is absent */
+function kn_nhx_get(p, key)
+{
+	var v = p.nhx[key];
+	return typeof v == 'string'? kn_nhx_value(v) : v;
+}
+
+/* Set an NHX tag. Y/N should be given as true/false. A null value deletes the tag. */
+function kn_nhx_set(p, key, val)
+{
+	if (val == null) delete p.nhx[key];
+	else p.nhx[key] = val;
+}
+
 /* Count the number of leaves */
 function kn_count_tips(tree)
 {
@@ -221,9 +642,11 @@ function kn_search_leaf(tree, pattern)
 {
 	var re = null;
 	if (pattern != null && pattern != "") {
-		re = new RegExp(pattern, 'i');
-		if (re == null)
+		try {
+			re = new RegExp(pattern, 'i');
+		} catch (e) {
 			alert("Wrong regular expression: '" + pattern + "'");
+		}
 	}
 	for (var i = 0; i < tree.node.length; ++i) {
 		var p = tree.node[i];
@@ -232,6 +655,142 @@ function kn_search_leaf(tree, pattern)
 	}
 }
 
+/* Compile a search query into a function testing a node. A query consists of
+ * terms combined with AND, OR and parentheses, where AND binds tighter and
+ * may be omitted. KEY=VALUE, KEY!=VALUE, KEY<VALUE, KEY<=VALUE, KEY>VALUE and
+ * KEY>=VALUE compare an NHX tag, as in S=HUMAN, B<70 or D=Y, and never match
+ * nodes without the tag; a VALUE with spaces is put in double quotes. Other
+ * terms are case-insensitive regular expressions on node names. A parenthesis
+ * opening a term groups terms, while parentheses inside a term belong to the
+ * expression, as in CCNK(_HUMAN)?; a term in double quotes is always an
+ * expression, as in "(HUMAN|MOUSE)$". Throw an Error on a malformed query. */
+function kn_search_compile(query)
+{
+	var tok = [], k = 0, i = 0, j, depth;
+	while (i < query.length) { // "(" and ")" starting a token group terms; those inside a term belong to it
+		var c = query.charAt(i);
+		if (/\s/.test(c)) { ++i; continue; }
+		if (c == '(' || c == ')') { tok.push(c); ++i; continue; }
+		for (j = i, depth = 0; j < query.length; ++j) {
+			c = query.charAt(j);
+			if (/\s/.test(c) && depth == 0) break;
+			if (c == '\\') ++j;
+			else if (c == '"') {
+				if ((j = query.indexOf('"', j + 1)) < 0) j = query.length;
+			} else if (c == '(') ++depth;
+			else if (c == ')' && depth-- == 0) break;
+		}
+		tok.push(query.substring(i, j));
+		i = j;
+	}
+	var is_or = function(t) { return /^(OR|\|\|)$/i.test(t); };
+	var is_and = function(t) { return /^(AND|&&)$/i.test(t); };
+	var label = function(v) { return v === true? 'y' : v === false? 'n' : String(v).toLowerCase(); };
+	var cond = function(key, op, str) {
+		if (str == "") throw new Error("missing a value after '" + key + op + "'");
+		var v = kn_nhx_value(str);
+		if (op == '=' || op == '!=') {
+			var eq = function(x) { return typeof x == 'number' && typeof v == 'number'? x == v : label(x) == label(v); };
+			return function(p) { var x = kn_nhx_get(p, key); return x != null && eq(x) == (op == '='); };
+		}
+		if (typeof v != 'number') throw new Error("'" + str + "' is not a number");
+		return function(p) {
+			var x = kn_nhx_get(p, key);
+			if (typeof x != 'number') return false;
+			return op == '<'? x < v : op == '<='? x <= v : op == '>'? x > v : x >= v;
+		};
+	};
+	var term = function() {
+		if (k == tok.length) throw new Error("unexpected end of the query");
+		var t = tok[k++], m, f, re;
+		if (t == '(') {
+			f = or_expr();
+			if (tok[k++] != ')') throw new Error("missing ')'");
+			return f;
+		}
+		if (t == ')' || is_or(t) || is_and(t)) throw new Error("unexpected '" + t + "'");
+		if ((m = /^([^=!<>"]+)(<=|>=|!=|=|<|>)(.*)$/.exec(t)) != null)
+			return cond(m[1], m[2], m[3].replace(/^"(.*)"$/, '$1'));
+		try {
+			re = new RegExp(t.replace(/"/g, ''), 'i');
+		} catch (e) {
+			throw new Error("wrong regular expression '" + t + "'");
+		}
+		return function(p) { return re.test(p.name); };
+	};
+	var and_expr = function() {
+		var f = [term()];
+		while (k < tok.length && tok[k] != ')' && !is_or(tok[k])) {
+			if (is_and(tok[k])) ++k;
+			f.push(term());
+		}
+		return f.length == 1? f[0] : function(p) {
+			for (var i = 0; i < f.length; ++i) if (!f[i](p)) return false;
+			return true;
+		};
+	};
+	var or_expr = function() {
+		var f = [and_expr()];
+		while (k < tok.length && is_or(tok[k])) {
+			++k;
+			f.push(and_expr());
+		}
+		return f.length == 1? f[0] : function(p) {
+			for (var i = 0; i < f.length; ++i) if (f[i](p)) return true;
+			return false;
+		};
+	};
+	var f = or_expr();
+	if (k < tok.length) throw new Error("unexpected '" + tok[k] + "'");
+	return f;
+}
+
+/* Set p.hl on the nodes matching a query (see kn_search_compile()), or clear
+ * it if the query is empty. Return the list of matching nodes. */
+function kn_search(tree, query)
+{
+	var f = (query != null && /\S/.test(query))? kn_search_compile(query) : null, hits = [];
+	for (var i = 0; i < tree.node.length; ++i) {
+		var p = tree.node[i];
+		p.hl = f != null && f(p)? true : false;
+		if (p.hl) hits.push(p);
+	}
+	return hits;
+}
+
+/* Get the most recent common ancestor of a list of nodes */
+function kn_mrca(node)
+{
+	var depth = function(p) { for (var d = 0; p.parent; p = p.parent) ++d; return d; };
+	if (node.length == 0) return null;
+	var a = node[0], da = depth(a);
+	for (var i = 1; i < node.length; ++i) {
+		var b = node[i], db = depth(b);
+		for (; da > db; --da) a = a.parent;
+		for (; db > da; --db) b = b.parent;
+		for (; a != b; --da) a = a.parent, b = b.parent;
+	}
+	return a;
+}
+
+/* Test if a list of leaves forms a clade. Each node in the list stands for
+ * all the leaves below it, which matters for collapsed nodes. Return
+ * {mrca, intruders}, where intruders are the other leaves descending from the
+ * most recent common ancestor, or null if the list is empty. The leaves are
+ * monophyletic if there are no intruders. */
+function kn_monophyly(node)
+{
+	var mrca = kn_mrca(node), intruders = [];
+	if (mrca == null) return null;
+	var sub = kn_expand_node(mrca, true);
+	for (var i = 0; i < sub.length; ++i) {
+		if (sub[i].child.length) continue;
+		for (var r = sub[i]; r != mrca.parent && node.indexOf(r) < 0; r = r.parent);
+		if (r == mrca.parent) intruders.push(sub[i]);
+	}
+	return {mrca:mrca, intruders:intruders};
+}
+
 /* Remove: delete a node and all its descendants */
 function kn_remove_node(tree, node)
 {
@@ -246,7 +805,7 @@ function kn_remove_node(tree, node)
 		var q, r = p.parent;
 		i = (p.child[0] == node)? 0 : 1;
 		q = p.child[1 - i]; // the other child
-		q.d += p.d;
+		if (p.d >= 0.0) q.d = q.d >= 0.0? q.d + p.d : p.d;
 		q.parent = r;
 		for (i = 0; i < r.child.length; ++i)
 			if (r.child[i] == p) break;
@@ -256,7 +815,7 @@ function kn_remove_node(tree, node)
 		for (i = 0; i < p.child.length; ++i)
 			if (p.child[i] == node) break;
 		for (j = k = 0; j < p.child.length; ++j) {
-			p.node[k] = p.node[j];
+			p.child[k] = p.child[j];
 			if (j != i) ++k;
 		}
 		--p.child.length;
@@ -267,16 +826,77 @@ function kn_remove_node(tree, node)
 	return root;
 }
 
+/* Prune: keep only the leaves matching "keep", which is a RegExp on leaf
+ * names or an array of leaf names. Nodes left with one child are removed and
+ * their branch lengths are added to the child, except at the root, whose
+ * surviving child becomes the new root with the old root's branch length.
+ * Return the new root, or null if no leaves match, in which case the tree is
+ * not changed. */
+function kn_prune(root, keep)
+{
+	var node = kn_expand_node(root, true), h = {}, n = 0, i, j;
+	var add_d = function(a, b) { return a >= 0.0 && b >= 0.0? a + b : a >= 0.0? a : b; };
+	if (keep instanceof Array)
+		for (i = 0; i < keep.length; ++i) h[keep[i]] = true;
+	for (i = 0; i < node.length; ++i) {
+		var p = node[i];
+		if (p.child.length == 0) {
+			p.kept = keep instanceof RegExp? keep.test(p.name) : h[p.name] === true;
+			if (p.kept) ++n;
+		}
+	}
+	if (n == 0) {
+		for (i = 0; i < node.length; ++i) delete node[i].kept;
+		return null;
+	}
+	for (i = 0; i < node.length; ++i) {
+		var p = node[i], c = [];
+		if (p.child.length == 0) continue;
+		for (j = 0; j < p.child.length; ++j) {
+			var q = p.child[j];
+			if (!q.kept) continue;
+			if (q.child.length == 1) { // skip a unary node
+				q.child[0].d = add_d(q.child[0].d, q.d);
+				q = q.child[0];
+			}
+			q.parent = p;
+			c.push(q);
+		}
+		p.child = c;
+		p.kept = c.length > 0;
+	}
+	for (i = 0; i < node.length; ++i) delete node[i].kept;
+	if (root.child.length == 1) {
+		var q = root.child[0];
+		q.d = root.d; // the new root takes the stem of the old one
+		q.parent = null;
+		root = q;
+	}
+	return root;
+}
+
+/* Test if the subtree descending from p can be moved to the edge above q */
+function kn_can_move(tree, p, q)
+{
+	if (p == tree.node[tree.node.length - 1]) return false; // p cannot be root
+	if (q == p.parent) return false; // q is removed along with p if it becomes unary
+	for (var r = q; r; r = r.parent)
+		if (r == p) return false; // p is an ancestor of q. We cannot move in this case.
+	return true;
+}
+
 /* Move: prune the subtree descending from p and regragh it to the edge between q and its parent */
 function kn_move_node(tree, p, q)
 {
-	var root = tree.node[tree.node.length - 1];
-	if (p == root) return null; // p cannot be root
-	for (var r = q; r.parent; r = r.parent)
-		if (r == p) return null; // p is an ancestor of q. We cannot move in this case.
-
-	root = kn_remove_node(tree, p);
+	if (!kn_can_move(tree, p, q)) return null;
+	var root = kn_remove_node(tree, p);
+	return kn_graft_node(root, p, q);
+}
 
+/* Graft: attach the subtree descending from p, which is not in the tree, to
+ * the middle of the edge between q and its parent. Return the new root. */
+function kn_graft_node(root, p, q)
+{
 	var z = kn_new_node(); // a fake root
 	z.child.push(root); root.parent = z;
 
@@ -300,7 +920,7 @@ function kn_move_node(tree, p, q)
 /* Reroot: put the root in the middle of node and its parent */
 function kn_reroot(root, node, dist)
 {
-	var i, d, tmp;
+	var i, j, k, d, tmp;
 	var p, q, r, s, new_root;
 	if (node == root) return root;
 	if (dist < 0.0 || dist > node.d) dist = node.d / 2.0;
@@ -351,6 +971,80 @@ function kn_reroot(root, node, dist)
 	return new_root;
 }
 
+/* Reroot at the midpoint of the longest path between two leaves, where
+ * missing branch lengths are taken as zero. Return the new root. */
+function kn_reroot_midpoint(root)
+{
+	var node = kn_expand_node(root, true), len = function(p) { return p.d > 0? p.d : 0; };
+	var down = [], leaf = [], i, j, a = null, b = null, da = 0, db = 0, max = -1;
+	for (i = 0; i < node.length; ++i) node[i].mid_i = i;
+	for (i = 0; i < node.length; ++i) { // the farthest leaf below each node and the longest path through it
+		var p = node[i], d1 = -1, d2 = -1, l1 = null, l2 = null;
+		if (p.child.length == 0) {
+			down[i] = 0; leaf[i] = p;
+			continue;
+		}
+		for (j = 0; j < p.child.length; ++j) {
+			var c = p.child[j], d = down[c.mid_i] + len(c);
+			if (d > d1) d2 = d1, l2 = l1, d1 = d, l1 = leaf[c.mid_i];
+			else if (d > d2) d2 = d, l2 = leaf[c.mid_i];
+		}
+		down[i] = d1; leaf[i] = l1;
+		if (l2 != null && d1 + d2 > max)
+			max = d1 + d2, a = l1, b = l2, da = d1, db = d2;
+	}
+	for (i = 0; i < node.length; ++i) delete node[i].mid_i;
+	if (a == null) return root;
+	// walk up from the end of the longer arm
+	var half = max / 2, acc = 0, x = da >= db? a : b;
+	while (acc + len(x) < half) {
+		acc += len(x);
+		x = x.parent;
+	}
+	return kn_reroot(root, x, half - acc);
+}
+
+/* Reroot with an outgroup, given as a RegExp matching leaf names or an array
+ * of leaf names. The root is put in the middle of the branch above the
+ * smallest clade containing all the outgroup leaves, where the clade may
+ * contain the current root; rooting again with the same outgroup changes
+ * nothing. Return the new root, or null if no leaves match or all leaves
+ * match. */
+function kn_reroot_outgroup(root, outgroup)
+{
+	var node = kn_expand_node(root, true), h = {}, n_out = [], n_all = [], i, j;
+	if (outgroup instanceof Array)
+		for (i = 0; i < outgroup.length; ++i) h[outgroup[i]] = true;
+	for (i = 0; i < node.length; ++i) node[i].out_i = i;
+	for (i = 0; i < node.length; ++i) {
+		var p = node[i];
+		if (p.child.length == 0) {
+			n_all[i] = 1;
+			n_out[i] = (outgroup instanceof RegExp? outgroup.test(p.name) : h[p.name] === true)? 1 : 0;
+		} else {
+			n_all[i] = n_out[i] = 0;
+			for (j = 0; j < p.child.length; ++j) {
+				n_all[i] += n_all[p.child[j].out_i];
+				n_out[i] += n_out[p.child[j].out_i];
+			}
+		}
+	}
+	for (i = 0; i < node.length; ++i) delete node[i].out_i;
+	var N_all = n_all[node.length-1], N_out = n_out[node.length-1], best = null, min = N_all;
+	if (N_out == 0) return null;
+	for (i = 0; i < node.length - 1; ++i) {
+		if (n_out[i] == N_out && n_all[i] < min) best = node[i], min = n_all[i]; // the clade below the branch
+		if (n_out[i] == 0 && N_all - n_all[i] < min) best = node[i], min = N_all - n_all[i]; // the rest of the tree
+	}
+	if (best == null) return null;
+	if (best.parent == root && root.child.length == 2) { // already a side of the root: only center the root on its branch
+		var other = root.child[0] == best? root.child[1] : root.child[0];
+		if (best.d >= 0 && other.d >= 0) best.d = other.d = (best.d + other.d) / 2;
+		return root;
+	}
+	return kn_reroot(root, best, -1.0);
+}
+
 function kn_multifurcate(p)
 {
 	var i, par, idx, tmp, old_length;
@@ -370,14 +1064,42 @@ function kn_multifurcate(p)
 	}
 }
 
+/* Get the support value of a node from NHX tag "key", or from the B= tag or a
+ * numeric name if "key" is not given; return null if there is no value */
+function kn_get_support(p, key)
+{
+	var v = kn_nhx_get(p, key? key : 'B');
+	if (typeof v == 'number') return v;
+	if (!key && /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(p.name)) return parseFloat(p.name);
+	return null;
+}
+
+/* Collapse each internal branch with support below "thres" into a
+ * multifurcation, where the support is read by kn_get_support(). Branches
+ * without support values and collapsed clades are kept. Return the number
+ * of branches collapsed. */
+function kn_collapse_weak(root, thres, key)
+{
+	var node = kn_expand_node(root, true), n = 0;
+	for (var i = 0; i < node.length - 1; ++i) {
+		var p = node[i], v;
+		if (p.child.length == 0 || p.hidden) continue;
+		if ((v = kn_get_support(p, key)) != null && v < thres) {
+			kn_multifurcate(p);
+			++n;
+		}
+	}
+	return n;
+}
+
 function kn_reorder(root)
 {
-	sort_leaf = function(a, b) {
+	var sort_leaf = function(a, b) {
 		if (a.depth < b.depth) return 1;
 		if (a.depth > b.depth) return -1;
 		return String(a.name) < String(b.name)? -1 : String(a.name) > String(b.name)? 1 : 0;
 	};
-	sort_weight = function(a, b) { return a.weight / a.n_tips - b.weight / b.n_tips; };
+	var sort_weight = function(a, b) { return a.weight / a.n_tips - b.weight / b.n_tips; };
 
 	var x = new Array();
 	var i, node = kn_expand_node(root);
@@ -409,13 +1131,257 @@ function kn_reorder(root)
 			node[i].child.sort(sort_weight);
 }
 
+/*****************************
+ ***** Comparing trees *****
+ *****************************/
+
+/* Parse all trees in a string in the Newick, NEXUS or phyloXML format, where
+ * Newick trees are separated by ';'. Return an array of trees. */
+function kn_parse_trees(str)
+{
+	var trees = [], i, k;
+	if (/^\s*#NEXUS/i.test(str)) {
+		var nexus = kn_parse_nexus(str);
+		for (k = 0; k < nexus.tree.length; ++k)
+			trees.push(kn_nexus_tree(nexus, k));
+	} else if (/^\s*<(\?xml|phyloxml)/i.test(str)) {
+		var phy = kn_phyloxml_phylogenies(str); // parse the document only once
+		for (k = 0; k < phy.length; ++k) {
+			var tree = kn_phyloxml_tree(phy[k]);
+			if (tree.error & 8) break;
+			trees.push(tree);
+		}
+	} else {
+		var depth = 0, in_comment = false, start = 0;
+		for (i = 0; i < str.length; ++i) {
+			var c = str.charAt(i);
+			if (in_comment) {
+				if (c == ']') in_comment = false;
+			} else if (c == '[') in_comment = true;
+			else if (c == '(') ++depth;
+			else if (c == ')') --depth;
+			else if (c == ';' && depth <= 0) {
+				var t = str.substr(start, i + 1 - start);
+				if (/[^\s;]/.test(t)) trees.push(kn_parse(t));
+				start = i + 1; depth = 0;
+			}
+		}
+		if (/[^\s;]/.test(str.substr(start))) trees.push(kn_parse(str.substr(start)));
+	}
+	return trees;
+}
+
+/* Get the bipartitions (splits) induced by the internal branches of the tree
+ * descending from root. "leaf" maps a leaf name to an index in [0,n); other
+ * leaves are ignored. A split is keyed by the set of leaves on the side
+ * without leaf 0, so the key does not depend on where the root is. Trivial
+ * splits are skipped. Return an array of {key, bits, size, node}, where
+ * "bits" is the leaf set of the key as a bit array, "size" the number of
+ * leaves in it and "node" the list of nodes inducing it (the two children of
+ * a bifurcating root induce the same split). */
+function kn_get_splits(root, leaf, n)
+{
+	var node = kn_expand_node(root, true), w = (n + 31) >> 5, i, j;
+	var popcount = function(x) { x -= (x >>> 1) & 0x55555555; x = (x & 0x33333333) + ((x >>> 2) & 0x33333333); return (((x + (x >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24; };
+	var split = [], hash = {};
+	for (i = 0; i < node.length; ++i) {
+		var p = node[i], b = [];
+		for (j = 0; j < w; ++j) b[j] = 0;
+		if (p.child.length == 0) {
+			var k = leaf[p.name];
+			if (k != null) b[k >> 5] |= 1 << (k & 31);
+		} else {
+			for (var c = 0; c < p.child.length; ++c)
+				for (j = 0; j < w; ++j) b[j] |= p.child[c].bits[j];
+		}
+		p.bits = b;
+	}
+	for (i = 0; i < node.length - 1; ++i) {
+		var p = node[i], b = p.bits.slice(0), cnt = 0;
+		if (p.child.length == 0) continue;
+		if (b[0] & 1) { // complement
+			for (j = 0; j < w; ++j) b[j] = ~b[j];
+			if (n & 31) b[w-1] &= (1 << (n & 31)) - 1;
+		}
+		for (j = 0; j < w; ++j) cnt += popcount(b[j]);
+		if (cnt <= 1 || cnt >= n - 1) continue;
+		var key = b.join(',');
+		if (hash[key] == null) {
+			hash[key] = split.length;
+			split.push({key:key, bits:b, size:cnt, node:[]});
+		}
+		split[hash[key]].node.push(p);
+	}
+	for (i = 0; i < node.length; ++i) delete node[i].bits;
+	return split;
+}
+
+/* Map each leaf name of the trees to an index; return {leaf, name} */
+function kn_leaf_index(tree, x) // private method
+{
+	var node = kn_expand_node(tree.node[tree.node.length-1], true);
+	if (x == null) x = {leaf:{}, name:[]};
+	for (var i = 0; i < node.length; ++i)
+		if (node[i].child.length == 0 && x.leaf[node[i].name] == null) {
+			x.leaf[node[i].name] = x.name.length;
+			x.name.push(node[i].name);
+		}
+	return x;
+}
+
+/* Compute the Robinson-Foulds distance between two trees on their shared
+ * leaves, ignoring the positions of the roots. Return {rf, max, norm,
+ * n_leaves, n1, n2, only1, only2}, where "norm" is rf/max, "n1" ("n2") is
+ * the number of splits in tree1 (tree2) absent from the other tree, and
+ * "only1" ("only2") is the list of nodes inducing these splits. */
+function kn_rf_dist(tree1, tree2)
+{
+	var x1 = kn_leaf_index(tree1), x2 = kn_leaf_index(tree2), leaf = {}, n = 0, i, j;
+	for (i = 0; i < x1.name.length; ++i)
+		if (x2.leaf[x1.name[i]] != null) leaf[x1.name[i]] = n++;
+	var s1 = kn_get_splits(tree1.node[tree1.node.length-1], leaf, n);
+	var s2 = kn_get_splits(tree2.node[tree2.node.length-1], leaf, n);
+	var h1 = {}, h2 = {}, only1 = [], only2 = [], n1 = 0, n2 = 0;
+	for (i = 0; i < s1.length; ++i) h1[s1[i].key] = 1;
+	for (i = 0; i < s2.length; ++i) h2[s2[i].key] = 1;
+	for (i = 0; i < s1.length; ++i)
+		if (h2[s1[i].key] == null) {
+			++n1;
+			for (j = 0; j < s1[i].node.length; ++j) only1.push(s1[i].node[j]);
+		}
+	for (i = 0; i < s2.length; ++i)
+		if (h1[s2[i].key] == null) {
+			++n2;
+			for (j = 0; j < s2[i].node.length; ++j) only2.push(s2[i].node[j]);
+		}
+	var max = s1.length + s2.length;
+	return {rf:n1 + n2, max:max, norm:max? (n1 + n2) / max : 0, n_leaves:n, n1:n1, n2:n2, only1:only1, only2:only2};
+}
+
+/* Test if two splits, keyed as in kn_get_splits(), can be in the same tree */
+function kn_split_compatible(a, b) // private method
+{
+	var a_in_b = true, b_in_a = true, disjoint = true;
+	for (var j = 0; j < a.length; ++j) {
+		if (a[j] & b[j]) disjoint = false;
+		if (a[j] & ~b[j]) a_in_b = false;
+		if (b[j] & ~a[j]) b_in_a = false;
+	}
+	return disjoint || a_in_b || b_in_a;
+}
+
+/* Build the consensus of a list of trees. Splits are taken in the
+ * descending order of their frequencies, and a split is kept if it is found
+ * in more than a fraction "thres" of the trees, or in all of them if thres
+ * is 1, and is compatible with the splits kept before it: thres=1 gives the
+ * strict consensus, 0.5 the majority-rule consensus and 0 the extended
+ * majority-rule consensus. Each internal node has the percentage of trees
+ * containing its split in the B= tag, and its branch length is averaged over
+ * these trees. As the trees are compared without their roots, the consensus
+ * is rooted at the first leaf. */
+function kn_consensus(trees, thres)
+{
+	var x = {leaf:{}, name:[]}, n, w, i, j, k;
+	if (trees.length == 0) return {error:8, n_tips:0, node:[]};
+	for (k = 0; k < trees.length; ++k) kn_leaf_index(trees[k], x);
+	n = x.name.length; w = (n + 31) >> 5;
+	// count splits and sum up branch lengths
+	var hash = {}, split = [], leaf_d = [], leaf_n = [];
+	for (j = 0; j < n; ++j) leaf_d[j] = leaf_n[j] = 0;
+	for (k = 0; k < trees.length; ++k) {
+		var root = trees[k].node[trees[k].node.length-1];
+		var s = kn_get_splits(root, x.leaf, n);
+		for (i = 0; i < s.length; ++i) {
+			var h = hash[s[i].key];
+			if (h == null) {
+				h = hash[s[i].key] = split.length;
+				split.push({bits:s[i].bits, size:s[i].size, cnt:0, d:0, n_d:0});
+			}
+			var t = split[h], d = 0, has_d = false;
+			++t.cnt;
+			for (j = 0; j < s[i].node.length; ++j)
+				if (s[i].node[j].d >= 0) d += s[i].node[j].d, has_d = true;
+			if (has_d) t.d += d, ++t.n_d;
+		}
+		var node = kn_expand_node(root, true);
+		for (i = 0; i < node.length; ++i)
+			if (node[i].child.length == 0 && node[i].d >= 0)
+				leaf_d[x.leaf[node[i].name]] += node[i].d, ++leaf_n[x.leaf[node[i].name]];
+	}
+	// choose splits
+	split.sort(function(a, b) { return b.cnt - a.cnt || b.size - a.size; });
+	var kept = [];
+	for (i = 0; i < split.length; ++i) {
+		var t = split[i], ok = true;
+		if (thres >= 1? t.cnt < trees.length : t.cnt <= thres * trees.length) break;
+		if (t.cnt * 2 <= trees.length) // splits in more than half of the trees are always compatible
+			for (j = 0; j < kept.length && ok; ++j)
+				ok = kn_split_compatible(t.bits, kept[j].bits);
+		if (ok) kept.push(t);
+	}
+	// build the tree; cur[j] is the smallest clade containing leaf j so far
+	kept.sort(function(a, b) { return b.size - a.size; });
+	var root = kn_new_node(), cur = [], first = [root];
+	for (j = 0; j < n; ++j) cur[j] = root;
+	root.first = 0;
+	for (i = 0; i < kept.length; ++i) {
+		var t = kept[i], p = kn_new_node();
+		for (j = 0; j < n; ++j)
+			if (t.bits[j >> 5] >> (j & 31) & 1) {
+				if (p.parent == null) {
+					p.parent = cur[j];
+					p.first = j;
+				}
+				cur[j] = p;
+			}
+		p.parent.child.push(p);
+		p.d = t.n_d? t.d / t.n_d : -1.0;
+		kn_nhx_set(p, 'B', Math.round(100 * t.cnt / trees.length));
+		first.push(p);
+	}
+	for (j = 0; j < n; ++j) {
+		var p = kn_new_node();
+		p.name = x.name[j];
+		p.d = leaf_n[j]? leaf_d[j] / leaf_n[j] : -1.0;
+		p.first = j;
+		p.parent = cur[j];
+		p.parent.child.push(p);
+		first.push(p);
+	}
+	// order the children by their first leaves, the order in the first tree
+	for (i = 0; i < first.length; ++i)
+		first[i].child.sort(function(a, b) { return a.first - b.first; });
+	for (i = 0; i < first.length; ++i) delete first[i].first;
+	var tree = {error:0, n_tips:n, node:kn_expand_node(root)};
+	tree.root = root;
+	return tree;
+}
+
+/* Write to the B= tag of each internal node the number of trees in "reps"
+ * containing the split of the node. Trees are compared by the leaf names and
+ * regardless of the roots. Return the number of nodes annotated. */
+function kn_map_support(tree, reps)
+{
+	var x = kn_leaf_index(tree), n = x.name.length, cnt = {}, s, i, j, k, m = 0;
+	for (k = 0; k < reps.length; ++k) {
+		s = kn_get_splits(reps[k].node[reps[k].node.length-1], x.leaf, n);
+		for (i = 0; i < s.length; ++i)
+			cnt[s[i].key] = (cnt[s[i].key] || 0) + 1;
+	}
+	s = kn_get_splits(tree.node[tree.node.length-1], x.leaf, n);
+	for (i = 0; i < s.length; ++i)
+		for (j = 0; j < s[i].node.length; ++j, ++m)
+			kn_nhx_set(s[i].node[j], 'B', cnt[s[i].key] || 0);
+	return m;
+}
+
 /*****************************************
  ***** Functions for plotting a tree *****
  *****************************************/
 
 function kn_canvas_hi_res(canvas, width, height)
 {
-    var ratio = window.devicePixelRatio;
+    var ratio = (canvas.is_svg || typeof window == 'undefined')? 1 : window.devicePixelRatio;
     canvas.width = width * ratio;
     canvas.height = height * ratio;
     canvas.style.width = width + "px";
@@ -460,30 +1426,308 @@ function kn_calxy(tree, is_real)
 	// rescale x
 	for (i = 0; i < tree.node.length; ++i)
 		tree.node[i].x /= scale;
+	tree.x_scale = is_real? scale : 0; // the branch length at x=1
+	tree.u_key = null; // the unrooted layout needs to be recomputed
+	tree.hit = null; // so does the index for hit-testing
+	tree.color = null; // and the colors of nodes
 	return is_real;
 }
 
-function kn_get_node(tree, conf, x, y)
+/* Rotate nodes node[beg..end] by angle "a" around node v */
+function kn_rotate_nodes(node, beg, end, v, a) // private method
 {
-	if (conf.is_circular) {
-		for (var i = 0; i < tree.node.length; ++i) {
-			var p = tree.node[i];
-			var tmp_x = Math.floor(conf.width/2 + p.x * conf.real_r * Math.cos(p.y * conf.full_arc) + .999);
-			var tmp_y = Math.floor(conf.height/2 + p.x * conf.real_r * Math.sin(p.y * conf.full_arc) + .999);
-			var tmp_l = 2;
-			if (x >= tmp_x - tmp_l && x <= tmp_x + tmp_l && y >= tmp_y - tmp_l && y <= tmp_y + tmp_l)
-				return i;
+	var c = Math.cos(a), s = Math.sin(a);
+	for (var i = beg; i <= end; ++i) {
+		var p = node[i], dx = p.ux - v.ux, dy = p.uy - v.uy;
+		p.ux = v.ux + dx * c - dy * s;
+		p.uy = v.uy + dx * s + dy * c;
+		p.ua += a;
+	}
+}
+
+/* Equalize the angular gaps ("daylight") between the subtrees around node v; return the largest rotation */
+function kn_daylight_node(node, v) // private method
+{
+	var full = 2 * Math.PI, sub = [], i, j;
+	var norm = function(a) { while (a <= -Math.PI) a += full; while (a > Math.PI) a -= full; return a; };
+	// the angular span of a set of nodes as seen from v, around the reference direction ref
+	var span = function(beg, end, outside, ref) {
+		var lo = 0, hi = 0;
+		for (var k = 0; k < node.length; ++k) {
+			if ((k >= beg && k <= end) == outside) continue;
+			var dx = node[k].ux - v.ux, dy = node[k].uy - v.uy;
+			if (dx == 0 && dy == 0) continue;
+			var a = norm(Math.atan2(dy, dx) - ref);
+			if (a < lo) lo = a;
+			if (a > hi) hi = a;
 		}
+		return {beg:beg, end:end, lo:ref + lo, hi:ref + hi};
+	};
+	var vbeg = v.idx - v.size + 1;
+	if (v.parent) sub.push(span(vbeg, v.idx, true, Math.atan2(v.parent.uy - v.uy, v.parent.ux - v.ux)));
+	for (i = 0; i < v.child.length; ++i) {
+		var c = v.child[i];
+		sub.push(span(c.idx - c.size + 1, c.idx, false, c.ua));
+	}
+	if (sub.length < 2) return 0;
+	var sum = 0;
+	for (j = 0; j < sub.length; ++j) sum += sub[j].hi - sub[j].lo;
+	if (sum >= full) return 0; // subtrees overlap; no daylight to distribute
+	var gap = (full - sum) / sub.length, cur = sub[0].hi, max_rot = 0;
+	for (j = 1; j < sub.length; ++j) {
+		var lo = sub[0].lo + (sub[j].lo - sub[0].lo) - full * Math.floor((sub[j].lo - sub[0].lo) / full);
+		var rot = cur + gap - lo;
+		kn_rotate_nodes(node, sub[j].beg, sub[j].end, v, rot);
+		cur = lo + rot + (sub[j].hi - sub[j].lo);
+		if (Math.abs(rot) > max_rot) max_rot = Math.abs(rot);
+	}
+	return max_rot;
+}
+
+/* Calculate the unrooted equal-angle layout, refined by up to "daylight"
+ * rounds of the daylight algorithm. The coordinates are kept in node.ux
+ * and node.uy and the direction of the branch in node.ua. */
+function kn_calxy_U(tree, is_real, daylight)
+{
+	var i, j, node = tree.node, n = node.length;
+	// count leaves and nodes in each subtree
+	for (i = 0; i < n; ++i) {
+		var p = node[i];
+		p.idx = i; p.size = 1; p.n_leaves = 0;
+		if (p.child.length == 0 || p.hidden) p.n_leaves = 1;
+		else for (j = 0; j < p.child.length; ++j)
+			p.size += p.child[j].size, p.n_leaves += p.child[j].n_leaves;
+	}
+	// equal-angle: each subtree gets a wedge proportional to its number of leaves
+	var root = node[n-1];
+	root.ux = root.uy = root.ua = 0; root.wedge = 0;
+	for (i = n - 1; i >= 0; --i) {
+		var p = node[i];
+		if (p.child.length == 0 || p.hidden) continue;
+		var a = p.wedge;
+		for (j = 0; j < p.child.length; ++j) {
+			var c = p.child[j], w = 2 * Math.PI * c.n_leaves / root.n_leaves;
+			var l = is_real? (c.d > 0.0? c.d : 0.0) : 1.0;
+			c.wedge = a; c.ua = a + w / 2;
+			c.ux = p.ux + l * Math.cos(c.ua);
+			c.uy = p.uy + l * Math.sin(c.ua);
+			a += w;
+		}
+	}
+	// daylight: visit nodes from the root and spread crowded subtrees. A round
+	// takes O(n^2) time, so large trees get fewer rounds, or none above ~4500 nodes.
+	daylight = Math.min(daylight, Math.floor(2e7 / (n * n)));
+	for (var round = 0; round < daylight; ++round) {
+		var max_rot = 0;
+		for (i = n - 1; i >= 0; --i) {
+			var p = node[i];
+			if (p.child.length == 0 || p.hidden) continue;
+			var r = kn_daylight_node(node, p);
+			if (r > max_rot) max_rot = r;
+		}
+		if (max_rot < 1e-3) break;
+	}
+}
+
+/* Get the position of a node in the current layout, before zooming and panning */
+function kn_node_xy(conf, p)
+{
+	if (conf.is_unrooted)
+		return [p.ux * conf.u_scale + conf.u_shift_x, p.uy * conf.u_scale + conf.u_shift_y];
+	if (conf.is_circular)
+		return [conf.width/2 + p.x * conf.real_r * Math.cos(p.y * conf.full_arc),
+				conf.height/2 + p.x * conf.real_r * Math.sin(p.y * conf.full_arc)];
+	return [p.x * conf.real_x + conf.shift_x, p.y * conf.real_y + conf.shift_y];
+}
+
+/* Build a grid over the shapes that can be clicked: node squares, leaf and
+ * internal labels and branches. It is kept in tree.hit and rebuilt only when
+ * the layout changes. "ctx" must have the font used for labels and
+ * "fontsize" is the size of that font. Each shape is an array:
+ *   [id, 0, x, y]                          a node square centered at (x,y)
+ *   [id, 1, x, y, a, lx0, lx1, ly0, ly1]   a label rectangle rotated by "a" around (x,y)
+ *   [id, 2, x0, y0, x1, y1]                a straight branch
+ *   [id, 3, x, y, r, a0, a1]               an arc of radius r from angle a0 to a1
+ */
+function kn_hit_index(tree, conf, ctx, fontsize)
+{
+	var key = [conf.is_unrooted, conf.is_circular, conf.width, conf.height, fontsize, conf.real_x, conf.real_y, conf.shift_x,
+			   conf.shift_y, conf.real_r, conf.u_scale, conf.u_shift_x, conf.u_shift_y, tree.u_key, tree.node.length].join(':');
+	if (tree.hit && tree.hit.key == key) return tree.hit;
+	var shapes = [], i, j;
+	var node = tree.node, fs = fontsize;
+	for (i = 0; i < node.length; ++i) {
+		var p = node[i], xy = kn_node_xy(conf, p), is_leaf = (p.child.length == 0 || p.hidden);
+		shapes.push([i, 0, xy[0], xy[1]]);
+		if (p.parent) {
+			var pxy = kn_node_xy(conf, p.parent);
+			if (conf.is_unrooted) shapes.push([i, 2, pxy[0], pxy[1], xy[0], xy[1]]);
+			else if (conf.is_circular) {
+				var r0 = p.parent.x * conf.real_r, r1 = p.x * conf.real_r, a = p.y * conf.full_arc;
+				shapes.push([i, 2, conf.width/2 + r0 * Math.cos(a), conf.height/2 + r0 * Math.sin(a), xy[0], xy[1]]);
+			} else shapes.push([i, 2, pxy[0], xy[1], xy[0], xy[1]]);
+		}
+		if (!is_leaf) { // the vertical line or the arc connecting the children
+			var c0 = p.child[0], c1 = p.child[p.child.length-1];
+			if (conf.is_circular && !conf.is_unrooted)
+				shapes.push([i, 3, conf.width/2, conf.height/2, p.x * conf.real_r, c0.y * conf.full_arc, c1.y * conf.full_arc]);
+			else if (!conf.is_unrooted)
+				shapes.push([i, 2, xy[0], kn_node_xy(conf, c0)[1], xy[0], kn_node_xy(conf, c1)[1]]);
+		}
+		if (p.name && is_leaf) {
+			var w = ctx.measureText(p.name).width;
+			if (conf.is_unrooted) shapes.push([i, 1, xy[0], xy[1], p.ua, fs/2, fs/2 + w, -fs * .8, fs * .7]);
+			else if (conf.is_circular) {
+				var r = conf.real_r + fs/2;
+				shapes.push([i, 1, conf.width/2, conf.height/2, p.y * conf.full_arc, r, r + w, -fs * .8, fs * .7]);
+			} else shapes.push([i, 1, xy[0], xy[1], 0, conf.xskip * 2, conf.xskip * 2 + w, -fs * .8, fs * .7]);
+		} else if (p.name && !conf.is_circular) { // internal names are right-aligned to the left of the node
+			var w = ctx.measureText(p.name).width;
+			shapes.push([i, 1, xy[0], xy[1], 0, -conf.xskip - w, -conf.xskip, -fs * 1.2, 0]);
+		}
+	}
+	// put shapes into grid cells by their bounding boxes
+	var bbox = function(s) {
+		if (s[1] == 0) return [s[2], s[3], s[2], s[3]];
+		if (s[1] == 2) return [Math.min(s[2], s[4]), Math.min(s[3], s[5]), Math.max(s[2], s[4]), Math.max(s[3], s[5])];
+		if (s[1] == 3) return [s[2] - s[4], s[3] - s[4], s[2] + s[4], s[3] + s[4]];
+		var c = Math.cos(s[4]), n = Math.sin(s[4]), b = [1e300, 1e300, -1e300, -1e300];
+		for (var k = 0; k < 4; ++k) {
+			var lx = k & 1? s[6] : s[5], ly = k & 2? s[8] : s[7];
+			var x = s[2] + lx * c - ly * n, y = s[3] + lx * n + ly * c;
+			if (x < b[0]) b[0] = x;
+			if (y < b[1]) b[1] = y;
+			if (x > b[2]) b[2] = x;
+			if (y > b[3]) b[3] = y;
+		}
+		return b;
+	};
+	var min_x = 0, min_y = 0, max_x = conf.width, max_y = conf.height, box = [];
+	for (i = 0; i < shapes.length; ++i) {
+		var b = box[i] = bbox(shapes[i]);
+		if (b[0] < min_x) min_x = b[0];
+		if (b[1] < min_y) min_y = b[1];
+		if (b[2] > max_x) max_x = b[2];
+		if (b[3] > max_y) max_y = b[3];
+	}
+	var size = 20;
+	while ((max_x - min_x) / size * (max_y - min_y) / size > 4 * shapes.length + 1024) size *= 2;
+	var hit = {key:key, size:size, x0:min_x, y0:min_y, nx:Math.floor((max_x - min_x) / size) + 1, ny:Math.floor((max_y - min_y) / size) + 1, cell:[]};
+	for (i = 0; i < shapes.length; ++i) {
+		var b = box[i];
+		var ix0 = Math.floor((b[0] - hit.x0) / size), ix1 = Math.floor((b[2] - hit.x0) / size);
+		var iy0 = Math.floor((b[1] - hit.y0) / size), iy1 = Math.floor((b[3] - hit.y0) / size);
+		if (shapes[i][1] == 3) { // only put an arc in cells along the arc
+			var s = shapes[i], n = Math.ceil(Math.abs(s[6] - s[5]) * s[4] / size) + 1, last = -1;
+			for (j = 0; j <= n; ++j) {
+				var a = s[5] + (s[6] - s[5]) * j / n;
+				var k = Math.floor((s[3] + s[4] * Math.sin(a) - hit.y0) / size) * hit.nx + Math.floor((s[2] + s[4] * Math.cos(a) - hit.x0) / size);
+				if (k == last) continue;
+				(hit.cell[k] || (hit.cell[k] = [])).push(s);
+				last = k;
+			}
+			continue;
+		}
+		for (var iy = iy0; iy <= iy1; ++iy)
+			for (var ix = ix0; ix <= ix1; ++ix) {
+				var k = iy * hit.nx + ix;
+				(hit.cell[k] || (hit.cell[k] = [])).push(shapes[i]);
+			}
+	}
+	return tree.hit = hit;
+}
+
+/* Distance from (x,y) to a shape in kn_hit_index() */
+function kn_hit_dist(s, x, y) // private method
+{
+	var dx, dy;
+	if (s[1] == 0) {
+		dx = x - s[2], dy = y - s[3];
+	} else if (s[1] == 1) {
+		var c = Math.cos(s[4]), n = Math.sin(s[4]);
+		var lx = (x - s[2]) * c + (y - s[3]) * n, ly = -(x - s[2]) * n + (y - s[3]) * c;
+		dx = lx < s[5]? s[5] - lx : lx > s[6]? lx - s[6] : 0;
+		dy = ly < s[7]? s[7] - ly : ly > s[8]? ly - s[8] : 0;
+	} else if (s[1] == 2) {
+		var vx = s[4] - s[2], vy = s[5] - s[3], l2 = vx * vx + vy * vy;
+		var t = l2 > 0? ((x - s[2]) * vx + (y - s[3]) * vy) / l2 : 0;
+		if (t < 0) t = 0;
+		if (t > 1) t = 1;
+		dx = x - (s[2] + t * vx), dy = y - (s[3] + t * vy);
 	} else {
+		var a = Math.atan2(y - s[3], x - s[2]);
+		while (a < s[5]) a += 2 * Math.PI;
+		if (a > s[6]) return 1e300;
+		return Math.abs(Math.sqrt((x - s[2]) * (x - s[2]) + (y - s[3]) * (y - s[3])) - s[4]);
+	}
+	return Math.sqrt(dx * dx + dy * dy);
+}
+
+/* Get the index of the node at (x,y) on the canvas, or tree.node.length if
+ * there is none. A node square takes precedence over a label, and a label
+ * over a branch; a branch selects the node below it. Only node squares are
+ * tested if "square_only" is true. */
+function kn_get_node(tree, conf, x, y, square_only)
+{
+	var tmp_l = ((conf.is_circular && !conf.is_unrooted)? 2 : conf.box_width * .6) / conf.zoom;
+	x = (x - conf.pan_x) / conf.zoom;
+	y = (y - conf.pan_y) / conf.zoom;
+	var hit = tree.hit;
+	if (hit == null) { // not plotted yet; only test node squares
 		for (var i = 0; i < tree.node.length; ++i) {
-			var tmp_x = tree.node[i].x * conf.real_x + conf.shift_x;
-			var tmp_y = tree.node[i].y * conf.real_y + conf.shift_y;
-			var tmp_l = conf.box_width * .6;
-			if (x >= tmp_x - tmp_l && x <= tmp_x + tmp_l && y >= tmp_y - tmp_l && y <= tmp_y + tmp_l)
+			var xy = kn_node_xy(conf, tree.node[i]);
+			if (x >= xy[0] - tmp_l && x <= xy[0] + tmp_l && y >= xy[1] - tmp_l && y <= xy[1] + tmp_l)
 				return i;
 		}
+		return tree.node.length;
 	}
-	return tree.node.length;
+	var r = conf.box_width * .6 / conf.zoom, best = null, best_d = 0;
+	var ix0 = Math.floor((x - r - hit.x0) / hit.size), ix1 = Math.floor((x + r - hit.x0) / hit.size);
+	var iy0 = Math.floor((y - r - hit.y0) / hit.size), iy1 = Math.floor((y + r - hit.y0) / hit.size);
+	if (ix0 < 0) ix0 = 0;
+	if (iy0 < 0) iy0 = 0;
+	if (ix1 >= hit.nx) ix1 = hit.nx - 1;
+	if (iy1 >= hit.ny) iy1 = hit.ny - 1;
+	for (var iy = iy0; iy <= iy1; ++iy) {
+		for (var ix = ix0; ix <= ix1; ++ix) {
+			var cell = hit.cell[iy * hit.nx + ix];
+			if (cell == null) continue;
+			for (var j = 0; j < cell.length; ++j) {
+				var s = cell[j], d;
+				if (square_only && s[1] != 0) continue;
+				if ((d = kn_hit_dist(s, x, y)) > r) continue;
+				var type = s[1] == 3? 2 : s[1];
+				if (best == null || type < (best[1] == 3? 2 : best[1]) || (type == (best[1] == 3? 2 : best[1]) && d < best_d))
+					best = s, best_d = d;
+			}
+		}
+	}
+	return best? best[0] : tree.node.length;
+}
+
+/* Fill the tooltip template for node p. {name}, {d}, {depth} and {leaves} are
+ * replaced by the name, the branch length, the distance from the root and the
+ * number of leaves in the clade; {KEY} by the value of NHX tag KEY, or "-" if
+ * unavailable; {nhx} by all NHX tags, one per line. Values are HTML-escaped. */
+function kn_node_info(p, template)
+{
+	var esc = function(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); };
+	var num = function(x) { return String(parseFloat(x.toPrecision(6))); };
+	var depth = 0, leaves = 0, q, i;
+	for (q = p; q.parent; q = q.parent)
+		if (q.d > 0) depth += q.d;
+	var node = kn_expand_node(p, true);
+	for (i = 0; i < node.length; ++i)
+		if (node[i].child.length == 0) ++leaves;
+	var nhx = kn_nhx_str(p).replace(/^\[&&NHX:?|\]$/g, '');
+	var val = { name:p.name, d:p.d >= 0? num(p.d) : null, depth:num(depth), leaves:leaves,
+				nhx:nhx? esc(nhx).split(':').join('<br>') : '' };
+	return template.replace(/\{([^{}\s]+)\}/g, function(m, k) {
+		if (k == 'nhx') return val.nhx;
+		var v = val[k] != null? val[k] : p.nhx[k];
+		if (v == null || v === '') return '-';
+		return esc(v === true? 'Y' : v === false? 'N' : typeof v == 'number' && k != 'leaves'? num(v) : v);
+	}).replace(/(<br>\s*)+$/i, '');
 }
 
 /* Initialize parameters for tree plotting */
@@ -503,19 +1747,219 @@ function kn_init_conf()
 	conf.c_hl = "rgb(255, 180, 180)";
 	conf.c_hidden = "rgb(0,200,0)";
 	conf.c_regex = "rgb(0,128,0)";
+	conf.c_diff = "rgb(255,0,160)"; // branches absent from the compared tree
+	conf.c_mrca = "rgb(255,255,180)"; // the clade of the most recent common ancestor of search hits
+	conf.c_move_ok = "rgb(0,180,0)"; // the target branch of a valid drag-and-drop move
+	conf.c_move_bad = "rgb(230,0,0)"; // the target branch of an invalid move
+	conf.c_selected = "rgb(255,128,0)"; // the frame around selected leaves
 //	conf.regex = ':S=([^:\\]]+)';
 	conf.regex = ':B=([^:\\]]+)';
 	conf.xskip = 3.0;
 	conf.yskip = 12;
 	conf.box_width = 6.0;
-	conf.old_nh = null;
+	conf.undo_depth = 20; // maximum number of edits that can be undone
+	conf.consensus = 0.5; // a clade in the consensus must be supported by more than this fraction of trees
 	conf.is_real = true;
 	conf.is_circular = false;
+	conf.is_unrooted = false; // the unrooted layout; it overrides conf.is_circular
+	conf.daylight = 5; // maximum rounds of daylight refinement in the unrooted layout
+	conf.max_height = 1000; // maximum canvas height of the rectangular layout; 0 for no limit
+	conf.zoom = 1.0; conf.pan_x = conf.pan_y = 0; // canvas = plot * zoom + pan
+	conf.min_zoom = 0.01; conf.max_zoom = 50;
+	conf.min_fontsize = 4; // hide labels smaller than this on the screen
+	conf.color_by = ""; // the NHX tag to color branches, nodes and leaf names by; empty for none
+	conf.show_scale = true; // draw a scale bar for branch lengths
+	conf.show_axis = false; // draw an axis under the rectangular plot, or rings in the circular plot
+	conf.save_view = true; // keep highlights and collapsed nodes in the Newick output as the NHX tags _box and _hidden
+	conf.tooltip = '<b>{name}</b><br>Length: {d}<br>From root: {depth}<br>Leaves: {leaves}<br>{nhx}'; // shown on hovering a node; empty to disable
 	conf.show_dup = true;
+	conf.session = false; // autosave to localStorage, offer to restore it and open "Copy link" links; set before knhx_init()
 	conf.runtime = 0;
 	return conf;
 }
 
+/* The palette for categorical values, and the two ends of the gradient for numeric values */
+var kn_palette = ["rgb(31,119,180)", "rgb(255,127,14)", "rgb(44,160,44)", "rgb(214,39,40)", "rgb(148,103,189)",
+				  "rgb(140,86,75)", "rgb(227,119,194)", "rgb(188,189,34)", "rgb(23,190,207)", "rgb(127,127,127)"];
+var kn_gradient = [[44,123,182], [215,25,28]];
+
+/* Set p.color by the value of the NHX tag conf.color_by, or to null if there
+ * is no value. An internal node without the tag takes the value of its
+ * children if they all have the same value, such that a uniform clade is
+ * colored as a whole. Numeric values are colored on a gradient and others
+ * by kn_palette. The legend is kept in tree.color. */
+function kn_color_by(tree, conf)
+{
+	var node = kn_expand_node(tree.node[tree.node.length-1], true), key = conf.color_by, i, j;
+	var legend = [], numeric = true, min = Infinity, max = -Infinity, cat = {}, list = [];
+	for (i = 0; i < node.length; ++i) {
+		var p = node[i], v = key? kn_nhx_get(p, key) : null;
+		if (v == null && p.child.length) {
+			v = p.child[0].color;
+			for (j = 1; j < p.child.length && v != null; ++j)
+				if (p.child[j].color !== v) v = null;
+		}
+		p.color = v; // the value for now; converted to a color below
+		if (v == null) continue;
+		if (typeof v == 'number') {
+			if (v < min) min = v;
+			if (v > max) max = v;
+		} else numeric = false;
+		if (cat[v] == null) cat[v] = true, list.push(v);
+	}
+	var label = function(v) { return v === true? 'Y' : v === false? 'N' : String(v); };
+	var grad = function(v) {
+		var t = max > min? (v - min) / (max - min) : 0, a = kn_gradient[0], b = kn_gradient[1];
+		return "rgb(" + Math.round(a[0] + (b[0] - a[0]) * t) + "," + Math.round(a[1] + (b[1] - a[1]) * t) + "," + Math.round(a[2] + (b[2] - a[2]) * t) + ")";
+	};
+	if (list.length && numeric) {
+		for (i = 0; i < node.length; ++i)
+			if (node[i].color != null) node[i].color = grad(node[i].color);
+		for (i = 0; i < 5; ++i) {
+			var v = min + (max - min) * i / 4;
+			legend.push({label:String(Math.round(v * 1000) / 1000), color:grad(v)});
+			if (max == min) break;
+		}
+	} else if (list.length) {
+		list.sort(function(a, b) { a = label(a); b = label(b); return a < b? -1 : a > b? 1 : 0; });
+		cat = {};
+		for (i = 0; i < list.length; ++i) {
+			cat[list[i]] = kn_palette[i % kn_palette.length];
+			legend.push({label:label(list[i]), color:cat[list[i]]});
+		}
+		for (i = 0; i < node.length; ++i)
+			if (node[i].color != null) node[i].color = cat[node[i].color];
+	}
+	tree.color = {key:key, legend:legend};
+	return tree.color;
+}
+
+/* Stroke the segments added by draw(p) for each node p, in one path per color */
+function kn_stroke_by_color(ctx, node, def, draw) // private method
+{
+	var group = {}, color = [], i, j;
+	for (i = 0; i < node.length; ++i) {
+		var c = node[i].color || def;
+		if (group[c] == null) group[c] = [], color.push(c);
+		group[c].push(node[i]);
+	}
+	for (i = 0; i < color.length; ++i) {
+		ctx.strokeStyle = color[i];
+		ctx.beginPath();
+		for (j = 0; j < group[color[i]].length; ++j) draw(group[color[i]][j]);
+		ctx.stroke();
+		ctx.closePath();
+	}
+}
+
+/* Draw the legend of conf.color_by in the top-right corner of the view */
+function kn_plot_legend(ctx, conf, tree) // private method
+{
+	var legend = tree.color? tree.color.legend : [], max_show = 20, i;
+	if (legend.length == 0) return;
+	var fs = conf.fontsize > 10? conf.fontsize : 10, n = legend.length < max_show? legend.length : max_show;
+	var title = conf.color_by, more = legend.length > n? "and " + (legend.length - n) + " more" : null;
+	ctx.save();
+	ctx.scale(1 / conf.zoom, 1 / conf.zoom);
+	ctx.translate(-conf.pan_x, -conf.pan_y); // back to the coordinates of the canvas
+	ctx.font = "bold " + fs + "px Helvetica";
+	var w = ctx.measureText(title).width;
+	ctx.font = fs + "px Helvetica";
+	for (i = 0; i < n; ++i) {
+		var l = ctx.measureText(legend[i].label).width + fs * 1.5;
+		if (l > w) w = l;
+	}
+	if (more && ctx.measureText(more).width > w) w = ctx.measureText(more).width;
+	var skip = fs * 1.4, h = skip * (n + 1 + (more? 1 : 0)) + fs * .5;
+	var x = conf.width - w - fs * 1.5, y = fs * .5;
+	ctx.fillStyle = "rgb(255,255,255)";
+	ctx.fillRect(x - fs * .5, y, w + fs, h);
+	ctx.fillStyle = conf.c_ext;
+	ctx.font = "bold " + fs + "px Helvetica";
+	kn_drawText(ctx, conf, title, x, y + skip);
+	ctx.font = fs + "px Helvetica";
+	for (i = 0; i < n; ++i) {
+		var yi = y + skip * (i + 2);
+		ctx.fillStyle = legend[i].color;
+		ctx.fillRect(x, yi - fs * .8, fs, fs);
+		ctx.fillStyle = conf.c_ext;
+		kn_drawText(ctx, conf, legend[i].label, x + fs * 1.5, yi);
+	}
+	if (more) kn_drawText(ctx, conf, more, x, y + skip * (n + 2));
+	ctx.restore();
+}
+
+/* Round x down to 1, 2 or 5 times a power of 10 */
+function kn_round_scale(x) // private method
+{
+	var p = Math.pow(10, Math.floor(Math.log(x) / Math.LN10)), f = x / p * (1 + 1e-9);
+	return (f >= 5? 5 : f >= 2? 2 : 1) * p;
+}
+
+/* Format a multiple of "step" with as many decimals as "step" needs */
+function kn_scale_label(v, step) // private method
+{
+	var k = -Math.floor(Math.log(step) / Math.LN10 + 1e-9);
+	return v.toFixed(k > 0? k : 0);
+}
+
+/* The extra height at the bottom of the rectangular plot for the axis */
+function kn_axis_height(tree, conf) // private method
+{
+	return conf.show_axis && tree.x_scale > 0? conf.fontsize * 2.5 : 0;
+}
+
+/* The background color of the clade of "p": the MRCA of the search hits
+ * (tree.mrca) is shaded over the box set on the node */
+function kn_box_color(tree, conf, p) // private method
+{
+	return p == tree.mrca? conf.c_mrca : p.box;
+}
+
+/* Frame the selected leaves (node.selected); "ctx" is in the coordinates of kn_node_xy() */
+function kn_plot_selected(ctx, conf, tree) // private method
+{
+	var l = conf.box_width;
+	ctx.strokeStyle = conf.c_selected;
+	ctx.lineWidth = 2 / conf.zoom;
+	ctx.beginPath();
+	for (var i = 0; i < tree.node.length; ++i) {
+		if (!tree.node[i].selected) continue;
+		var xy = kn_node_xy(conf, tree.node[i]);
+		ctx.moveTo(xy[0] - l, xy[1] - l);
+		ctx.lineTo(xy[0] + l, xy[1] - l);
+		ctx.lineTo(xy[0] + l, xy[1] + l);
+		ctx.lineTo(xy[0] - l, xy[1] + l);
+		ctx.lineTo(xy[0] - l, xy[1] - l);
+	}
+	ctx.stroke();
+	ctx.lineWidth = 1;
+}
+
+/* Draw a scale bar in the bottom-left corner of the view, where "px" is the
+ * number of pixels per unit of branch length without zooming */
+function kn_plot_scale_bar(ctx, conf, px) // private method
+{
+	if (!conf.show_scale || !(px > 0)) return;
+	var len = kn_round_scale(80 / (px * conf.zoom)), w = len * px * conf.zoom;
+	var fs = conf.fontsize > 10? conf.fontsize : 10, label = kn_scale_label(len, len);
+	var x = conf.xmargin, y = kn_view_height(conf) - fs * .8;
+	ctx.save();
+	ctx.scale(1 / conf.zoom, 1 / conf.zoom);
+	ctx.translate(-conf.pan_x, -conf.pan_y); // back to the coordinates of the canvas
+	ctx.font = fs + "px Helvetica";
+	ctx.fillStyle = "rgb(255,255,255)";
+	ctx.fillRect(x - fs * .5, y - fs * 1.8, w + fs, fs * 2.4);
+	ctx.strokeStyle = conf.c_ext;
+	ctx.lineWidth = 1;
+	ctx.beginPath();
+	ctx.moveTo(x, y - fs * .3); ctx.lineTo(x, y); ctx.lineTo(x + w, y); ctx.lineTo(x + w, y - fs * .3);
+	ctx.stroke();
+	ctx.fillStyle = conf.c_ext;
+	kn_drawText(ctx, conf, label, x + (w - ctx.measureText(label).width) / 2, y - fs * .5);
+	ctx.restore();
+}
+
 function kn_drawText(ctx, conf, text, x, y)
 {
 	ctx.textAlign = "left";
@@ -528,18 +1972,76 @@ function kn_drawTextRight(ctx, conf, text, x, y)
 	ctx.fillText(text, x, y);
 }
 
+/* The height of the canvas; a tall rectangular plot is shown through a view of conf.max_height pixels */
+function kn_view_height(conf)
+{
+	if (!conf.is_circular && !conf.is_unrooted && conf.max_height > 0 && conf.height > conf.max_height)
+		return conf.max_height;
+	return conf.height;
+}
+
+/* The visible area as [x0, y0, x1, y1] in the coordinates of the plot before zooming and panning */
+function kn_view_rect(conf)
+{
+	return [-conf.pan_x / conf.zoom, -conf.pan_y / conf.zoom,
+			(conf.width - conf.pan_x) / conf.zoom, (kn_view_height(conf) - conf.pan_y) / conf.zoom];
+}
+
+/* Zoom by "factor" around the point (x,y) on the canvas */
+function kn_zoom(conf, factor, x, y)
+{
+	var z = conf.zoom * factor;
+	if (z < conf.min_zoom) z = conf.min_zoom;
+	if (z > conf.max_zoom) z = conf.max_zoom;
+	conf.pan_x = x - (x - conf.pan_x) * z / conf.zoom;
+	conf.pan_y = y - (y - conf.pan_y) * z / conf.zoom;
+	conf.zoom = z;
+}
+
+/* Reset zooming and panning such that the whole tree fits the canvas */
+function kn_zoom_fit(conf)
+{
+	var h = kn_view_height(conf);
+	conf.zoom = h < conf.height? h / conf.height : 1.0;
+	conf.pan_x = (conf.width - conf.width * conf.zoom) / 2;
+	conf.pan_y = (h - conf.height * conf.zoom) / 2;
+}
+
+/* Pan the view such that node p is at the center */
+function kn_pan_to(conf, p)
+{
+	var xy = kn_node_xy(conf, p);
+	conf.pan_x = conf.width / 2 - xy[0] * conf.zoom;
+	conf.pan_y = kn_view_height(conf) / 2 - xy[1] * conf.zoom;
+}
+
+/* Set up the canvas, clear it and apply zooming and panning. Return the 2D context */
+function kn_plot_begin(canvas, conf)
+{
+	var h = kn_view_height(conf);
+	kn_canvas_hi_res(canvas, conf.width, h);
+	var ctx = canvas.getContext("2d");
+	ctx.strokeStyle = ctx.fillStyle = "white";
+	ctx.fillRect(0, 0, conf.width, h);
+	ctx.translate(conf.pan_x, conf.pan_y);
+	ctx.scale(conf.zoom, conf.zoom);
+	return ctx;
+}
+
 /* Plot the tree in the "canvas". Both node.x and node.y MUST BE precomputed by kn_calxy */
 function kn_plot_core(canvas, tree, conf)
 {
+	if (conf.is_unrooted) {
+		kn_plot_core_U(canvas, tree, conf);
+		return;
+	}
 	if (conf.is_circular) {
 		kn_plot_core_O(canvas, tree, conf);
 		return;
 	}
-	kn_canvas_hi_res(canvas, conf.width, conf.height);
-	var ctx = canvas.getContext("2d");
+	var ctx = kn_plot_begin(canvas, conf);
 	ctx.font = conf.fontsize + "px Helvetica";
-	ctx.strokeStyle = ctx.fillStyle = "white";
-	ctx.fillRect(0, 0, conf.width, conf.height);
+	if (tree.color == null || tree.color.key != conf.color_by) kn_color_by(tree, conf);
 	// get maximum name length
 	var max_namelen, i;
 	for (i = 0, max_namelen = 0; i < tree.node.length; ++i) {
@@ -550,104 +2052,149 @@ function kn_plot_core(canvas, tree, conf)
 	// set transformation
 	var real_x, real_y, shift_x, shift_y;
 	conf.real_x = real_x = conf.width - 2 * conf.xmargin - max_namelen;
-	conf.real_y = real_y = conf.height - 2 * conf.ymargin - conf.fontsize;
+	var axis_h = kn_axis_height(tree, conf);
+	conf.real_y = real_y = conf.height - 2 * conf.ymargin - conf.fontsize - axis_h;
 	conf.shift_x = shift_x = conf.xmargin;
 	conf.shift_y = shift_y = conf.ymargin + conf.fontsize / 2;
+	// the visible range of y, extended by one line of text
+	var view = kn_view_rect(conf);
+	var min_y = view[1] - conf.yskip, max_y = view[3] + conf.yskip;
+	var vis = function(y0, y1) { return y1 >= min_y && y0 <= max_y; };
+	var show_text = conf.fontsize * conf.zoom >= conf.min_fontsize;
 	// plot background boxes
 	for (i = tree.node.length - 1; i >= 0 ; --i) {
-		if (tree.node[i].box) {
+		var c = kn_box_color(tree, conf, tree.node[i]);
+		if (c) {
 			var p = tree.node[i];
+			if (!vis(p.miny * real_y + shift_y, p.maxy * real_y + shift_y)) continue;
 			var x = p.x * real_x + shift_x - conf.box_width/2;
-			ctx.strokeStyle = ctx.fillStyle = tree.node[i].box;
+			ctx.strokeStyle = ctx.fillStyle = c;
 			ctx.fillRect(x, p.miny * real_y + shift_y - conf.yskip/2,
 						 conf.width - conf.xmargin - x, (p.maxy - p.miny) * real_y + conf.yskip);
 		}
 	}
-	// leaf highlight box
-	ctx.fillStyle = conf.c_hl;
-	for (i = 0; i < tree.node.length; ++i) {
-		var p = tree.node[i];
-		if (p.hl && (p.child.length == 0 || p.hidden))
-			ctx.fillRect(p.x * real_x + conf.xskip * 2 + shift_x, p.y * real_y + shift_y - conf.fontsize * .8,
-						 ctx.measureText(tree.node[i].name).width, conf.fontsize * 1.5);
-	}
-	// leaf name
-	ctx.fillStyle = conf.c_ext;
-	for (i = 0; i < tree.node.length; ++i) {
-		var p = tree.node[i];
-		if (p.child.length == 0 || p.hidden)
-			kn_drawText(ctx, conf, p.name, p.x * real_x + conf.xskip * 2 + shift_x, p.y * real_y + shift_y + conf.fontsize / 3);
-	}
-	// internal name
-	ctx.fillStyle = conf.c_int;
-	for (i = 0; i < tree.node.length; ++i) {
-		var p = tree.node[i];
-		if (p.child.length && p.name.length > 0 && !p.hidden)
-			kn_drawTextRight(ctx, conf, p.name, p.x * real_x - conf.xskip + shift_x, p.y * real_y + shift_y - conf.fontsize / 3);
-	}
-	// internal name 2
-	if (conf.regex && conf.regex.indexOf('(') >= 0) {
-		var re = new RegExp(conf.regex);
-		if (re) {
-			ctx.strokeStyle = conf.c_regex;
-			for (i = 0; i < tree.node.length; ++i) {
-				var p = tree.node[i];
-				if (p.meta) {
-					var m = re.exec(p.meta);
-					if (m != null) {
-						var l = ctx.measureText(m[1]).width;
-						kn_drawText(ctx, conf, m[1], p.x * real_x - conf.xskip + shift_x - l, p.y * real_y + shift_y + conf.fontsize * 1.33);
+	if (show_text) {
+		// leaf highlight box
+		ctx.fillStyle = conf.c_hl;
+		for (i = 0; i < tree.node.length; ++i) {
+			var p = tree.node[i];
+			if (p.hl && (p.child.length == 0 || p.hidden) && vis(p.y * real_y + shift_y, p.y * real_y + shift_y))
+				ctx.fillRect(p.x * real_x + conf.xskip * 2 + shift_x, p.y * real_y + shift_y - conf.fontsize * .8,
+							 ctx.measureText(tree.node[i].name).width, conf.fontsize * 1.5);
+		}
+		// leaf name
+		for (i = 0; i < tree.node.length; ++i) {
+			var p = tree.node[i];
+			if ((p.child.length == 0 || p.hidden) && vis(p.y * real_y + shift_y, p.y * real_y + shift_y)) {
+				ctx.fillStyle = p.color || conf.c_ext;
+				kn_drawText(ctx, conf, p.name, p.x * real_x + conf.xskip * 2 + shift_x, p.y * real_y + shift_y + conf.fontsize / 3);
+			}
+		}
+		// internal name
+		ctx.fillStyle = conf.c_int;
+		for (i = 0; i < tree.node.length; ++i) {
+			var p = tree.node[i];
+			if (p.child.length && p.name.length > 0 && !p.hidden && vis(p.y * real_y + shift_y, p.y * real_y + shift_y))
+				kn_drawTextRight(ctx, conf, p.name, p.x * real_x - conf.xskip + shift_x, p.y * real_y + shift_y - conf.fontsize / 3);
+		}
+		// internal name 2
+		if (conf.regex && conf.regex.indexOf('(') >= 0) {
+			var re = new RegExp(conf.regex);
+			if (re) {
+				ctx.strokeStyle = conf.c_regex;
+				for (i = 0; i < tree.node.length; ++i) {
+					var p = tree.node[i];
+					if (!vis(p.y * real_y + shift_y, p.y * real_y + shift_y)) continue;
+					var meta = kn_nhx_str(p) + p.meta;
+					if (meta) {
+						var m = re.exec(meta);
+						if (m != null) {
+							var l = ctx.measureText(m[1]).width;
+							kn_drawText(ctx, conf, m[1], p.x * real_x - conf.xskip + shift_x - l, p.y * real_y + shift_y + conf.fontsize * 1.33);
+						}
 					}
 				}
 			}
 		}
 	}
-	// horizontal lines
+	// horizontal lines, and vertical lines to the children
 	var y;
-	ctx.strokeStyle = conf.c_line;
+	ctx.lineWidth = 1 / conf.zoom;
+	kn_stroke_by_color(ctx, tree.node, conf.c_line, function(p) {
+		var y = p.y * real_y + shift_y, x = p.x * real_x + shift_x;
+		if (vis(y, y)) {
+			ctx.moveTo(p.parent? p.parent.x * real_x + shift_x : shift_x, y);
+			ctx.lineTo(x, y);
+		}
+		if (p.child.length == 0 || p.hidden) return;
+		if (!vis(p.child[0].y * real_y + shift_y, p.child[p.child.length-1].y * real_y + shift_y)) return;
+		ctx.moveTo(x, p.child[0].y * real_y + shift_y);
+		ctx.lineTo(x, p.child[p.child.length-1].y * real_y + shift_y);
+	});
+	// branches absent from the compared tree
+	ctx.strokeStyle = conf.c_diff;
+	ctx.lineWidth = 3 / conf.zoom;
 	ctx.beginPath();
-	y = tree.node[tree.node.length-1].y * real_y + shift_y;
-	ctx.moveTo(shift_x, y); ctx.lineTo(tree.node[tree.node.length-1].x * real_x + shift_x, y);
 	for (i = 0; i < tree.node.length - 1; ++i) {
 		var p = tree.node[i];
 		y = p.y * real_y + shift_y;
+		if (!p.diff || !vis(y, y)) continue;
 		ctx.moveTo(p.parent.x * real_x + shift_x, y);
 		ctx.lineTo(p.x * real_x + shift_x, y);
 	}
-	// vertical lines
-	var x;
-	for (i = 0; i < tree.node.length; ++i) {
-		var p = tree.node[i];
-		if (p.child.length == 0 || p.hidden) continue;
-		x = p.x * real_x + shift_x;
-		ctx.moveTo(x, p.child[0].y * real_y + shift_y);
-		ctx.lineTo(x, p.child[p.child.length-1].y * real_y + shift_y);
-	}
 	ctx.stroke();
 	ctx.closePath();
+	ctx.lineWidth = 1;
 	// nodes
 	for (i = 0; i < tree.node.length; ++i) {
 		var tmp_x, tmp_y, tmp_l;
 		var p = tree.node[i];
 		tmp_x = p.x * real_x + shift_x;
 		tmp_y = p.y * real_y + shift_y;
+		if (!vis(tmp_y, tmp_y)) continue;
 		tmp_l = conf.box_width / 2;
+		if (p.hl && p.child.length && !p.hidden) { // matching internal node
+			ctx.fillStyle = conf.c_hl;
+			ctx.fillRect(tmp_x - tmp_l * 2, tmp_y - tmp_l * 2, conf.box_width * 2, conf.box_width * 2);
+		}
 		if (p.hidden) ctx.fillStyle = conf.c_hidden;
-		else if (conf.show_dup && /:D=Y/i.test(p.meta)) ctx.fillStyle = conf.c_dup;
-		else ctx.fillStyle = conf.c_node;
+		else if (conf.show_dup && kn_nhx_get(p, 'D') === true) ctx.fillStyle = conf.c_dup;
+		else ctx.fillStyle = p.color || conf.c_node;
 		ctx.fillRect(tmp_x - tmp_l, tmp_y - tmp_l, conf.box_width, conf.box_width);
 	}
+	// axis
+	y = shift_y + real_y + conf.fontsize * 1.2;
+	if (axis_h > 0 && vis(y, y + axis_h)) {
+		var step = kn_round_scale(tree.x_scale / 5), k;
+		ctx.strokeStyle = ctx.fillStyle = conf.c_ext;
+		ctx.lineWidth = 1 / conf.zoom;
+		ctx.beginPath();
+		ctx.moveTo(shift_x, y); ctx.lineTo(shift_x + real_x, y);
+		for (k = 0; k * step <= tree.x_scale * (1 + 1e-9); ++k) {
+			var x = shift_x + k * step / tree.x_scale * real_x;
+			ctx.moveTo(x, y); ctx.lineTo(x, y + conf.fontsize * .5);
+			if (show_text) {
+				var label = kn_scale_label(k * step, step);
+				kn_drawText(ctx, conf, label, x - ctx.measureText(label).width / 2, y + conf.fontsize * 1.7);
+			}
+		}
+		ctx.stroke();
+		ctx.closePath();
+		ctx.lineWidth = 1;
+	}
+	kn_plot_selected(ctx, conf, tree);
+	if (tree.x_scale > 0 && axis_h == 0) kn_plot_scale_bar(ctx, conf, real_x / tree.x_scale);
+	kn_plot_legend(ctx, conf, tree);
+	kn_hit_index(tree, conf, ctx, conf.fontsize);
 }
 
 function kn_plot_core_O(canvas, tree, conf)
 {
-	kn_canvas_hi_res(canvas, conf.width, conf.height);
-	var ctx = canvas.getContext("2d");
-	ctx.strokeStyle = ctx.fillStyle = "white";
-	ctx.fillRect(0, 0, conf.width, conf.height);
+	var ctx = kn_plot_begin(canvas, conf);
+	if (tree.color == null || tree.color.key != conf.color_by) kn_color_by(tree, conf);
 	// get the maximum name length
 	var max_namelen, i;
-	for (i = 0, max_namelen = max_namechr = 0; i < tree.node.length; ++i) {
+	for (i = 0, max_namelen = 0; i < tree.node.length; ++i) {
 		if (tree.node[i].child.length) continue;
 		var tmp = ctx.measureText(tree.node[i].name).width;
 		if (tmp > max_namelen) max_namelen = tmp;
@@ -662,13 +2209,22 @@ function kn_plot_core_O(canvas, tree, conf)
 	conf.full_arc = full;
 	ctx.save();
 	ctx.translate(conf.width/2, conf.height/2);
+	// the visible area relative to the center
+	var view = kn_view_rect(conf);
+	var vis = function(x0, y0, x1, y1) {
+		return (x0 < x1? x1 : x0) >= view[0] - conf.width/2 && (x0 < x1? x0 : x1) <= view[2] - conf.width/2
+			&& (y0 < y1? y1 : y0) >= view[1] - conf.height/2 && (y0 < y1? y0 : y1) <= view[3] - conf.height/2;
+	};
+	var show_text = fontsize * conf.zoom >= conf.min_fontsize;
+	ctx.lineWidth = 1 / conf.zoom;
 	// plot background boxes
 	for (i = tree.node.length - 1; i >= 0 ; --i) {
-		if (tree.node[i].box) {
+		var c = kn_box_color(tree, conf, tree.node[i]);
+		if (c) {
 			var p = tree.node[i];
 			var x = (p.parent? (p.parent.x + p.x)/2 : 0) * real_r;
 			var miny, maxy;
-			ctx.strokeStyle = ctx.fillStyle = tree.node[i].box;
+			ctx.strokeStyle = ctx.fillStyle = c;
 			ctx.beginPath();
 			miny = p.miny - 1. / tree.n_tips / 2;
 			maxy = p.maxy + 1. / tree.n_tips / 2;
@@ -680,11 +2236,34 @@ function kn_plot_core_O(canvas, tree, conf)
 			ctx.fill();
 		}
 	}
+	// rings at rounded branch lengths from the root
+	if (conf.show_axis && tree.x_scale > 0) {
+		var step = kn_round_scale(tree.x_scale / 5), gap = (full - 2 * Math.PI) / 2, k, x;
+		ctx.strokeStyle = ctx.fillStyle = "rgb(200,200,200)";
+		ctx.beginPath();
+		for (k = 1; k * step <= tree.x_scale * (1 + 1e-9); ++k) {
+			var r = k * step / tree.x_scale * real_r;
+			if (!vis(-r, -r, r, r)) continue;
+			ctx.moveTo(r, 0);
+			ctx.arc(0, 0, r, 0, 2 * Math.PI, false);
+		}
+		ctx.stroke();
+		ctx.closePath();
+		for (k = 1, x = -Infinity; k * step <= tree.x_scale * (1 + 1e-9) && show_text; ++k) { // skip labels overlapping the previous one
+			var r = k * step / tree.x_scale * real_r, label = kn_scale_label(k * step, step), l = ctx.measureText(label).width;
+			if (r * Math.cos(gap) - l / 2 < x) continue;
+			kn_drawText(ctx, conf, label, r * Math.cos(gap) - l / 2, r * Math.sin(gap) + fontsize / 3);
+			x = r * Math.cos(gap) + l / 2 + fontsize / 2;
+		}
+	}
 	// leaf highlight
 	ctx.fillStyle = conf.c_hl;
-	for (i = 0; i < tree.node.length; ++i) {
+	var r_end = real_r + fontsize/2 + max_namelen;
+	for (i = 0; i < tree.node.length && show_text; ++i) {
 		var p = tree.node[i];
 		if (p.child.length || !p.hl) continue;
+		var cos = Math.cos(p.y * full), sin = Math.sin(p.y * full);
+		if (!vis(real_r * cos, real_r * sin, r_end * cos, r_end * sin)) continue;
 		ctx.save();
 		var tmp = ctx.measureText(tree.node[i].name).width;
 		if (p.y * full > Math.PI * .5 && p.y * full < Math.PI * 1.5) {
@@ -697,10 +2276,12 @@ function kn_plot_core_O(canvas, tree, conf)
 		ctx.restore();
 	}
 	// leaf name
-	ctx.fillStyle = conf.c_ext;
-	for (i = 0; i < tree.node.length; ++i) {
+	for (i = 0; i < tree.node.length && show_text; ++i) {
 		var p = tree.node[i];
 		if (p.child.length) continue;
+		var cos = Math.cos(p.y * full), sin = Math.sin(p.y * full);
+		if (!vis(real_r * cos, real_r * sin, r_end * cos, r_end * sin)) continue;
+		ctx.fillStyle = p.color || conf.c_ext;
 		ctx.save();
 		if (p.y * full > Math.PI * .5 && p.y * full < Math.PI * 1.5) {
 			ctx.rotate(p.y * full - Math.PI);
@@ -711,20 +2292,21 @@ function kn_plot_core_O(canvas, tree, conf)
 		}
 		ctx.restore();
 	}
-	// straight lines
-	ctx.strokeStyle = "black";
-	ctx.beginPath();
-	var root = tree.node[tree.node.length-1];
-	ctx.moveTo(0, 0);
-	ctx.lineTo(root.x * real_r * Math.cos(root.y * full), root.x * real_r * Math.sin(root.y * full));
-	for (i = 0; i < tree.node.length - 1; ++i) {
+	// matching internal nodes
+	ctx.fillStyle = conf.c_hl;
+	for (i = 0; i < tree.node.length; ++i) {
 		var p = tree.node[i];
-		var cos = Math.cos(p.y * full), sin = Math.sin(p.y * full);
-		ctx.moveTo(p.parent.x * real_r * cos, p.parent.x * real_r * sin);
-		ctx.lineTo(p.x * real_r * cos, p.x * real_r * sin);
+		if (!p.hl || p.child.length == 0 || p.hidden) continue;
+		var x = p.x * real_r * Math.cos(p.y * full), y = p.x * real_r * Math.sin(p.y * full);
+		if (vis(x, y, x, y)) ctx.fillRect(x - conf.box_width, y - conf.box_width, conf.box_width * 2, conf.box_width * 2);
 	}
-	ctx.stroke();
-	ctx.closePath();
+	// straight lines
+	kn_stroke_by_color(ctx, tree.node, "black", function(p) {
+		var cos = Math.cos(p.y * full), sin = Math.sin(p.y * full), r0 = p.parent? p.parent.x * real_r : 0;
+		if (!vis(r0 * cos, r0 * sin, p.x * real_r * cos, p.x * real_r * sin)) return;
+		ctx.moveTo(r0 * cos, r0 * sin);
+		ctx.lineTo(p.x * real_r * cos, p.x * real_r * sin);
+	});
 	// lines towards the tips
 	ctx.strokeStyle = "lightgray";
 	ctx.beginPath();
@@ -732,24 +2314,281 @@ function kn_plot_core_O(canvas, tree, conf)
 		var p = tree.node[i];
 		if (p.child.length) continue;
 		var cos = Math.cos(p.y * full), sin = Math.sin(p.y * full);
+		if (!vis(p.x * real_r * cos, p.x * real_r * sin, real_r * cos, real_r * sin)) continue;
 		ctx.moveTo(p.x * real_r * cos, p.x * real_r * sin);
 		ctx.lineTo(real_r * cos, real_r * sin);
 	}
 	ctx.stroke();
 	ctx.closePath();
 	// arcs
-	ctx.strokeStyle = "black";
-	ctx.beginPath();
-	for (i = 0; i < tree.node.length; ++i) {
-		var p = tree.node[i];
-		if (p.child.length == 0 || p.hidden) continue;
+	kn_stroke_by_color(ctx, tree.node, "black", function(p) {
+		if (p.child.length == 0 || p.hidden) return;
 		var r = p.x * real_r;
+		if (!vis(-r, -r, r, r)) return;
 		ctx.moveTo(r * Math.cos(p.child[0].y * full), r * Math.sin(p.child[0].y * full));
 		ctx.arc(0, 0, r, p.child[0].y * full, p.child[p.child.length-1].y * full, false); // arcTo is preferred, but may have compatibility issues.
+	});
+	// branches absent from the compared tree
+	ctx.strokeStyle = conf.c_diff;
+	ctx.lineWidth = 3 / conf.zoom;
+	ctx.beginPath();
+	for (i = 0; i < tree.node.length - 1; ++i) {
+		var p = tree.node[i];
+		if (!p.diff) continue;
+		var cos = Math.cos(p.y * full), sin = Math.sin(p.y * full);
+		if (!vis(p.parent.x * real_r * cos, p.parent.x * real_r * sin, p.x * real_r * cos, p.x * real_r * sin)) continue;
+		ctx.moveTo(p.parent.x * real_r * cos, p.parent.x * real_r * sin);
+		ctx.lineTo(p.x * real_r * cos, p.x * real_r * sin);
 	}
 	ctx.stroke();
 	ctx.closePath();
+	ctx.lineWidth = 1;
 	ctx.restore();
+	kn_plot_selected(ctx, conf, tree);
+	if (tree.x_scale > 0) kn_plot_scale_bar(ctx, conf, real_r / tree.x_scale);
+	kn_plot_legend(ctx, conf, tree);
+	kn_hit_index(tree, conf, ctx, fontsize);
+}
+
+/* Plot the tree in the unrooted layout; the layout is computed by kn_calxy_U() if necessary */
+function kn_plot_core_U(canvas, tree, conf)
+{
+	var ctx = kn_plot_begin(canvas, conf);
+	ctx.font = conf.fontsize + "px Helvetica";
+	if (tree.color == null || tree.color.key != conf.color_by) kn_color_by(tree, conf);
+	var key = conf.is_real + ":" + conf.daylight, i;
+	if (tree.u_key != key) {
+		kn_calxy_U(tree, conf.is_real, conf.daylight);
+		tree.u_key = key;
+	}
+	// get the maximum name length and the bounding box
+	var max_namelen = 0, min_x = 0, max_x = 0, min_y = 0, max_y = 0;
+	for (i = 0; i < tree.node.length; ++i) {
+		var p = tree.node[i];
+		if (p.ux < min_x) min_x = p.ux;
+		if (p.ux > max_x) max_x = p.ux;
+		if (p.uy < min_y) min_y = p.uy;
+		if (p.uy > max_y) max_y = p.uy;
+		if (p.child.length && !p.hidden) continue;
+		var tmp = ctx.measureText(p.name).width;
+		if (tmp > max_namelen) max_namelen = tmp;
+	}
+	// set transformation
+	var scale_x = (conf.width - 2 * conf.xmargin - 2 * max_namelen) / (max_x - min_x);
+	var scale_y = (conf.height - 2 * conf.ymargin - 2 * max_namelen) / (max_y - min_y);
+	var scale = scale_x < scale_y? scale_x : scale_y;
+	if (!(scale > 0) || !isFinite(scale)) scale = 1;
+	conf.u_scale = scale;
+	conf.u_shift_x = conf.width/2 - (min_x + max_x) / 2 * scale;
+	conf.u_shift_y = conf.height/2 - (min_y + max_y) / 2 * scale;
+	var X = function(p) { return p.ux * scale + conf.u_shift_x; };
+	var Y = function(p) { return p.uy * scale + conf.u_shift_y; };
+	var view = kn_view_rect(conf);
+	var vis = function(x0, y0, x1, y1) { // if the bounding box of two points, extended by a label, is visible
+		return (x0 < x1? x1 : x0) + max_namelen >= view[0] && (x0 < x1? x0 : x1) - max_namelen <= view[2]
+			&& (y0 < y1? y1 : y0) + max_namelen >= view[1] && (y0 < y1? y0 : y1) - max_namelen <= view[3];
+	};
+	var show_text = conf.fontsize * conf.zoom >= conf.min_fontsize;
+	// plot background boxes as thick bands along the branches of the clade
+	ctx.lineCap = "round";
+	ctx.lineWidth = conf.yskip;
+	for (i = tree.node.length - 1; i >= 0 ; --i) {
+		var p = tree.node[i], c = kn_box_color(tree, conf, p);
+		if (!c) continue;
+		ctx.strokeStyle = c;
+		ctx.beginPath();
+		for (var j = i - p.size + 1; j < i; ++j) {
+			var q = tree.node[j];
+			ctx.moveTo(X(q.parent), Y(q.parent));
+			ctx.lineTo(X(q), Y(q));
+		}
+		if (p.size == 1 && p.parent) {
+			ctx.moveTo((X(p) + X(p.parent)) / 2, (Y(p) + Y(p.parent)) / 2);
+			ctx.lineTo(X(p), Y(p));
+		}
+		ctx.stroke();
+	}
+	ctx.lineCap = "butt";
+	ctx.lineWidth = 1;
+	// leaf highlights and names, drawn along the direction of the branch
+	for (i = 0; i < tree.node.length && show_text; ++i) {
+		var p = tree.node[i];
+		if ((p.child.length && !p.hidden) || !vis(X(p), Y(p), X(p), Y(p))) continue;
+		var l = ctx.measureText(p.name).width, flip = Math.cos(p.ua) < 0;
+		ctx.save();
+		ctx.translate(X(p), Y(p));
+		ctx.rotate(flip? p.ua - Math.PI : p.ua);
+		if (p.hl) {
+			ctx.fillStyle = conf.c_hl;
+			ctx.fillRect(flip? -(conf.fontsize/2 + l) : conf.fontsize/2, -conf.fontsize * .8, l, conf.fontsize * 1.5);
+		}
+		ctx.fillStyle = p.color || conf.c_ext;
+		if (flip) kn_drawTextRight(ctx, conf, p.name, -conf.fontsize/2, conf.fontsize/3);
+		else kn_drawText(ctx, conf, p.name, conf.fontsize/2, conf.fontsize/3);
+		ctx.restore();
+	}
+	// internal name
+	ctx.fillStyle = conf.c_int;
+	for (i = 0; i < tree.node.length && show_text; ++i) {
+		var p = tree.node[i];
+		if (p.child.length && p.name.length > 0 && !p.hidden && vis(X(p), Y(p), X(p), Y(p)))
+			kn_drawTextRight(ctx, conf, p.name, X(p) - conf.xskip, Y(p) - conf.fontsize / 3);
+	}
+	// internal name 2
+	if (show_text && conf.regex && conf.regex.indexOf('(') >= 0) {
+		var re = new RegExp(conf.regex);
+		ctx.fillStyle = conf.c_regex;
+		for (i = 0; i < tree.node.length; ++i) {
+			var p = tree.node[i], m;
+			if (p.child.length == 0 || p.hidden || !vis(X(p), Y(p), X(p), Y(p))) continue;
+			if ((m = re.exec(kn_nhx_str(p) + p.meta)) != null)
+				kn_drawTextRight(ctx, conf, m[1], X(p) - conf.xskip, Y(p) + conf.fontsize * 1.33);
+		}
+	}
+	// branches
+	ctx.lineWidth = 1 / conf.zoom;
+	kn_stroke_by_color(ctx, tree.node.slice(0, tree.node.length - 1), conf.c_line, function(p) {
+		if (!vis(X(p.parent), Y(p.parent), X(p), Y(p))) return;
+		ctx.moveTo(X(p.parent), Y(p.parent));
+		ctx.lineTo(X(p), Y(p));
+	});
+	// branches absent from the compared tree
+	ctx.strokeStyle = conf.c_diff;
+	ctx.lineWidth = 3 / conf.zoom;
+	ctx.beginPath();
+	for (i = 0; i < tree.node.length - 1; ++i) {
+		var p = tree.node[i];
+		if (!p.diff || !vis(X(p.parent), Y(p.parent), X(p), Y(p))) continue;
+		ctx.moveTo(X(p.parent), Y(p.parent));
+		ctx.lineTo(X(p), Y(p));
+	}
+	ctx.stroke();
+	ctx.closePath();
+	ctx.lineWidth = 1;
+	// nodes
+	for (i = 0; i < tree.node.length; ++i) {
+		var p = tree.node[i];
+		if (!vis(X(p), Y(p), X(p), Y(p))) continue;
+		if (p.hl && p.child.length && !p.hidden) { // matching internal node
+			ctx.fillStyle = conf.c_hl;
+			ctx.fillRect(X(p) - conf.box_width, Y(p) - conf.box_width, conf.box_width * 2, conf.box_width * 2);
+		}
+		if (p.hidden) ctx.fillStyle = conf.c_hidden;
+		else if (conf.show_dup && kn_nhx_get(p, 'D') === true) ctx.fillStyle = conf.c_dup;
+		else ctx.fillStyle = p.color || conf.c_node;
+		ctx.fillRect(X(p) - conf.box_width/2, Y(p) - conf.box_width/2, conf.box_width, conf.box_width);
+	}
+	kn_plot_selected(ctx, conf, tree);
+	if (conf.is_real) kn_plot_scale_bar(ctx, conf, scale);
+	kn_plot_legend(ctx, conf, tree);
+	kn_hit_index(tree, conf, ctx, conf.fontsize);
+}
+
+/* A drawing context implementing the subset of the canvas 2D API used by the
+ * plotting functions. It records shapes and texts, and ctx.to_svg() returns
+ * them as an SVG document. */
+function kn_svg_context()
+{
+	var ctx = {fillStyle:"black", strokeStyle:"black", font:"10px sans-serif", textAlign:"left", lineWidth:1, lineCap:"butt"};
+	var elem = [], path = [], stack = [], has_point = false;
+	var m = [1, 0, 0, 1, 0, 0]; // transformation matrix [a, b, c, d, e, f]
+	var measure = null;
+
+	var tx = function(x, y) { return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]; };
+	var num = function(x) { return String(Math.round(x * 100) / 100); };
+	var pt = function(x, y) { var q = tx(x, y); return num(q[0]) + ' ' + num(q[1]); };
+	var esc = function(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); };
+	var font_size = function() { var r = /([\d.]+)px/.exec(ctx.font); return r? parseFloat(r[1]) : 10; };
+	var font_family = function() { return ctx.font.replace(/^.*px\s*/, '') || 'sans-serif'; };
+
+	ctx.save = function() {
+		stack.push({m:m.slice(0), fillStyle:ctx.fillStyle, strokeStyle:ctx.strokeStyle, font:ctx.font, textAlign:ctx.textAlign, lineWidth:ctx.lineWidth, lineCap:ctx.lineCap});
+	};
+	ctx.restore = function() {
+		if (stack.length == 0) return;
+		var s = stack.pop();
+		m = s.m; ctx.fillStyle = s.fillStyle; ctx.strokeStyle = s.strokeStyle;
+		ctx.font = s.font; ctx.textAlign = s.textAlign; ctx.lineWidth = s.lineWidth; ctx.lineCap = s.lineCap;
+	};
+	ctx.translate = function(x, y) { m[4] += m[0] * x + m[2] * y; m[5] += m[1] * x + m[3] * y; };
+	ctx.scale = function(x, y) { m[0] *= x; m[1] *= x; m[2] *= y; m[3] *= y; };
+	ctx.rotate = function(t) {
+		var c = Math.cos(t), s = Math.sin(t);
+		m = [m[0] * c + m[2] * s, m[1] * c + m[3] * s, m[2] * c - m[0] * s, m[3] * c - m[1] * s, m[4], m[5]];
+	};
+	ctx.setTransform = function(a, b, c, d, e, f) { m = [a, b, c, d, e, f]; };
+	ctx.measureText = function(text) {
+		if (measure == null && typeof document != 'undefined' && document.createElement)
+			measure = document.createElement("canvas").getContext("2d");
+		if (measure) {
+			measure.font = ctx.font;
+			return measure.measureText(text);
+		}
+		return {width: String(text).length * font_size() * 0.6}; // a rough estimate without a real canvas
+	};
+	ctx.beginPath = function() { path = []; has_point = false; };
+	ctx.closePath = function() { if (path.length) path.push('Z'); };
+	ctx.moveTo = function(x, y) { path.push('M' + pt(x, y)); has_point = true; };
+	ctx.lineTo = function(x, y) { path.push((has_point? 'L' : 'M') + pt(x, y)); has_point = true; };
+	ctx.arc = function(x, y, r, a0, a1, ccw) {
+		var delta = a1 - a0, full = 2 * Math.PI;
+		if (!ccw && delta >= full) delta = full;
+		else if (ccw && delta <= -full) delta = -full;
+		else {
+			while (!ccw && delta < 0) delta += full;
+			while (ccw && delta > 0) delta -= full;
+		}
+		var det = m[0] * m[3] - m[1] * m[2], rr = num(r * Math.sqrt(Math.abs(det)));
+		var sweep = (delta > 0) != (det < 0)? 1 : 0;
+		path.push((has_point? 'L' : 'M') + pt(x + r * Math.cos(a0), y + r * Math.sin(a0)));
+		if (Math.abs(delta) >= full) { // a full circle must be drawn as two arcs
+			var am = a0 + delta / 2;
+			path.push('A' + rr + ' ' + rr + ' 0 0 ' + sweep + ' ' + pt(x + r * Math.cos(am), y + r * Math.sin(am)));
+		}
+		path.push('A' + rr + ' ' + rr + ' 0 ' + (Math.abs(delta) > Math.PI && Math.abs(delta) < full? 1 : 0) + ' ' + sweep + ' '
+				  + pt(x + r * Math.cos(a0 + delta), y + r * Math.sin(a0 + delta)));
+		has_point = true;
+	};
+	ctx.stroke = function() {
+		if (path.length) elem.push('<path d="' + path.join('') + '" fill="none" stroke="' + esc(ctx.strokeStyle) + '" stroke-width="' + esc(ctx.lineWidth) + '"'
+								   + (ctx.lineCap != "butt"? ' stroke-linecap="' + esc(ctx.lineCap) + '"' : '') + '/>');
+	};
+	ctx.fill = function() {
+		if (path.length) elem.push('<path d="' + path.join('') + '" fill="' + esc(ctx.fillStyle) + '"/>');
+	};
+	ctx.fillRect = function(x, y, w, h) {
+		if (m[1] == 0 && m[2] == 0) {
+			var p = tx(x, y), q = tx(x + w, y + h);
+			elem.push('<rect x="' + num(Math.min(p[0], q[0])) + '" y="' + num(Math.min(p[1], q[1])) + '" width="' + num(Math.abs(q[0] - p[0]))
+					  + '" height="' + num(Math.abs(q[1] - p[1])) + '" fill="' + esc(ctx.fillStyle) + '"/>');
+		} else elem.push('<path d="M' + pt(x, y) + 'L' + pt(x + w, y) + 'L' + pt(x + w, y + h) + 'L' + pt(x, y + h) + 'Z" fill="' + esc(ctx.fillStyle) + '"/>');
+	};
+	ctx.fillText = function(text, x, y) {
+		var anchor = ctx.textAlign == "right" || ctx.textAlign == "end"? "end" : ctx.textAlign == "center"? "middle" : "start";
+		var mat = m[0] == 1 && m[1] == 0 && m[2] == 0 && m[3] == 1 && m[4] == 0 && m[5] == 0? '' :
+			' transform="matrix(' + m.map(function(v) { return String(Math.round(v * 1e6) / 1e6); }).join(' ') + ')"';
+		elem.push('<text x="' + num(x) + '" y="' + num(y) + '"' + mat + ' font-family="' + esc(font_family())
+				  + '" font-size="' + esc(font_size()) + '" text-anchor="' + anchor + '" fill="' + esc(ctx.fillStyle) + '">' + esc(text) + '</text>');
+	};
+	ctx.to_svg = function(width, height) {
+		return '<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="' + width + '" height="' + height
+			+ '" viewBox="0 0 ' + width + ' ' + height + '">\n' + elem.join('\n') + '\n</svg>\n';
+	};
+	return ctx;
+}
+
+/* Plot the whole tree as an SVG document, ignoring zooming. Both node.x and node.y MUST BE precomputed by kn_calxy */
+function kn_plot_svg(tree, conf)
+{
+	var ctx = kn_svg_context();
+	var canvas = {is_svg:true, style:{}, getContext:function() { return ctx; }};
+	var view = [conf.zoom, conf.pan_x, conf.pan_y, conf.max_height];
+	var hit = tree.hit; // keep the index built with the real canvas
+	conf.zoom = 1.0; conf.pan_x = conf.pan_y = 0; conf.max_height = 0; // always plot the whole tree
+	kn_plot_core(canvas, tree, conf);
+	conf.zoom = view[0]; conf.pan_x = view[1]; conf.pan_y = view[2]; conf.max_height = view[3];
+	tree.hit = hit;
+	return ctx.to_svg(conf.width, conf.height);
 }
 
 /* Plot the tree "str" in the Newick format in the "canvas" */
@@ -757,10 +2596,17 @@ function kn_plot_str(canvas, str, conf)
 {
 	var tree = kn_parse(str);
 	if (tree.error) return tree;
+	kn_plot_tree(canvas, tree, conf);
+	return tree;
+}
+
+/* Plot a parsed tree in the "canvas", resizing the canvas to fit the tree */
+function kn_plot_tree(canvas, tree, conf)
+{
 	conf.is_real = kn_calxy(tree, conf.is_real);
-	conf.height = conf.is_circular? conf.width : conf.ymargin * 2 + tree.n_tips * conf.yskip;
+	conf.height = (conf.is_circular || conf.is_unrooted)? conf.width : conf.ymargin * 2 + tree.n_tips * conf.yskip + kn_axis_height(tree, conf);
 	canvas.width = conf.width;
-	canvas.height = conf.height;
+	canvas.height = kn_view_height(conf);
 	kn_plot_core(canvas, tree, conf);
 	return tree;
 }
@@ -775,22 +2621,24 @@ function kn_plot_str(canvas, str, conf)
 var kn_g_tree = null;
 var kn_g_conf = kn_init_conf();
 
-document.write('<script language="JavaScript" src="menu.js"></script>');
-//document.write('<script language="JavaScript" src="canvastext.js"></script>');
-document.write('<style type="text/css"><!-- \
-	#popdiv a.alt { \
-	  padding-left: 9px; \
-	  font: 12px monospace; \
-	  border: none; \
-	  display: inline; \
-	} \
---></style>');
+if (typeof document != 'undefined' && typeof module == 'undefined') { // loaded by a <script> tag
+	document.write('<script language="JavaScript" src="menu.js"></script>');
+	//document.write('<script language="JavaScript" src="canvastext.js"></script>');
+	document.write('<style type="text/css"><!-- \
+		#popdiv a.alt { \
+		  padding-left: 9px; \
+		  font: 12px monospace; \
+		  border: none; \
+		  display: inline; \
+		} \
+	--></style>');
+}
 
 /*****************
  * Event handler *
  *****************/
 
-kn_actions = new function() {
+var kn_actions = new function() {
 
 	var id, canvas, textarea;
 
@@ -803,31 +2651,511 @@ kn_actions = new function() {
 	this.plot = function(str) {
 		var time_beg = new Date().getTime();
 		if (str) {
-			var tree = kn_plot_str(canvas, str, kn_g_conf);
-			if (tree.error & 1) alert("Parsing ERROR: missing left parenthesis!");
-			else if (tree.error & 2) alert("Parsing ERROR: missing right parenthesis!");
-			else if (tree.error & 4) alert("Parsing ERROR: missing brackets!");
+			var tree;
+			kn_g_conf.zoom = 1.0; kn_g_conf.pan_x = kn_g_conf.pan_y = 0;
+			tree = parse_text(str, true);
+			if (tree == null) return;
+			if (tree.rooted === false && str != drawn_text) kn_g_conf.is_unrooted = true; // [&U] in NEXUS or rooted="false" in phyloXML
+			if (!tree.error) kn_plot_tree(canvas, tree, kn_g_conf);
+			else parse_error(tree);
 			kn_g_tree = tree;
+			drawn_text = str;
 		} else kn_plot_core(canvas, kn_g_tree, kn_g_conf);
 		kn_g_conf.runtime = (new Date().getTime() - time_beg)/1000.0;
+		this.autosave(true);
 	}
 
 	this.plot_str = function() { this.plot(textarea.value); }
 
-	this.undo_redo = function() {
-		var tmp = kn_g_conf.old_nh; kn_g_conf.old_nh = textarea.value; textarea.value = tmp;
-		kn_g_tree = kn_parse(textarea.value);
-		kn_g_conf.is_real = kn_calxy(kn_g_tree, kn_g_conf.is_real);
+	var redraw_pending = false;
+
+	var redraw = function() { // redraw at most once per frame
+		if (redraw_pending) return;
+		redraw_pending = true;
+		var f = function() {
+			redraw_pending = false;
+			kn_plot_core(canvas, kn_g_tree, kn_g_conf);
+			if (drag_src) draw_drag();
+			if (band) draw_band();
+			kn_actions.autosave(true); // keep zooming and panning
+		};
+		if (typeof requestAnimationFrame != 'undefined') requestAnimationFrame(f);
+		else setTimeout(f, 16);
+	}
+
+	this.zoom = function(factor, x, y) {
+		if (kn_g_tree == null) return;
+		kn_zoom(kn_g_conf, factor, x, y);
+		redraw();
+	}
+
+	this.pan = function(dx, dy) {
+		if (kn_g_tree == null) return;
+		kn_g_conf.pan_x += dx; kn_g_conf.pan_y += dy;
+		redraw();
+	}
+
+	this.fit = function() {
+		if (kn_g_tree == null) return;
+		kn_zoom_fit(kn_g_conf);
 		kn_plot_core(canvas, kn_g_tree, kn_g_conf);
 	}
 
-	var set_undo = function(conf, str) {
-		conf.old_nh = textarea.value;
-		textarea.value = str;
+	/* search nodes with the query in the search box; see kn_search_compile() for the syntax */
+	var hits = [], hit_i = -1, hits_tree = null, query = "";
+
+	var hits_text = function() {
+		if (hits_tree == null) return "";
+		if (hits.length == 0) return "no hits";
+		return (hit_i >= 0? (hit_i + 1) + "/" : "") + hits.length + (hits.length == 1? " hit" : " hits");
+	}
+
+	var show_hits = function() {
+		var o = document.getElementById("searchHits");
+		if (o) o.innerHTML = hits_text();
+	}
+
+	this.search_query = function() { return query; }
+
+	this.search_hits = function() { return hits_text(); }
+
+	this.search = function() {
+		var tree = kn_g_tree, conf = kn_g_conf;
+		if (tree == null) return;
+		var o = document.getElementById("searchLeaf"), mrca = document.getElementById("searchMRCA");
+		if (o) query = o.value;
+		try {
+			hits = kn_search(tree, query);
+		} catch (e) {
+			alert("Search ERROR: " + e.message);
+			return;
+		}
+		hit_i = -1; hits_tree = /\S/.test(query)? tree : null;
+		// shade the clade of the most recent common ancestor of the hits; this is not part of the tree
+		tree.mrca = mrca && mrca.checked && hits.length? kn_mrca(hits) : null;
+		kn_plot_core(canvas, tree, conf);
+		show_hits();
+	}
+
+	/* center the view on the next (step>0) or the previous (step<0) search hit */
+	this.search_next = function(step) {
+		var tree = kn_g_tree, conf = kn_g_conf;
+		if (tree == null) return;
+		if (hits_tree != tree || (hit_i >= 0 && tree.node.indexOf(hits[hit_i]) < 0)) { // the tree has been changed
+			var i = hit_i;
+			try {
+				hits = hits_tree? kn_search(tree, query) : [];
+			} catch (e) {
+				hits = [];
+			}
+			hit_i = i < hits.length? i : -1; hits_tree = hits_tree? tree : null;
+			var mrca = document.getElementById("searchMRCA");
+			tree.mrca = mrca && mrca.checked && hits.length? kn_mrca(hits) : null;
+		}
+		if (hits.length == 0) {
+			show_hits();
+			return;
+		}
+		if (hit_i < 0) hit_i = step > 0? 0 : hits.length - 1;
+		else hit_i = (hit_i + step % hits.length + hits.length) % hits.length;
+		var p = hits[hit_i];
+		kn_pan_to(conf, p);
+		kn_plot_core(canvas, tree, conf);
+		// mark the current hit
+		var ctx = canvas.getContext("2d"), xy = kn_node_xy(conf, p), l = conf.box_width * 1.5;
+		ctx.strokeStyle = conf.c_active_node;
+		ctx.lineWidth = 2 / conf.zoom;
+		ctx.strokeRect(xy[0] - l, xy[1] - l, l * 2, l * 2);
+		ctx.lineWidth = 1;
+		show_hits();
+	}
+
+	/* parse a tree in the Newick, NEXUS or phyloXML format; if "pick" is true, let
+	 * the user pick a tree from a NEXUS file, or take the first tree otherwise */
+	var parse_text = function(str, pick) {
+		if (/^\s*#NEXUS/i.test(str)) {
+			if (pick) return read_nexus(str);
+			var nexus = kn_parse_nexus(str);
+			return nexus.tree.length? kn_nexus_tree(nexus, 0) : {error:8, n_tips:0, node:[]};
+		}
+		if (/^\s*<(\?xml|phyloxml)/i.test(str)) return kn_parse_phyloxml(str);
+		var trees = kn_parse_trees(str); // draw the first one if there are multiple trees
+		return trees.length? trees[0] : kn_parse(str);
+	}
+
+	var parse_error = function(tree) {
+		if (tree.error & 1) alert("Parsing ERROR: missing left parenthesis!");
+		else if (tree.error & 2) alert("Parsing ERROR: missing right parenthesis!");
+		else if (tree.error & 4) alert("Parsing ERROR: missing brackets!");
+		else if (tree.error & 8) alert("Parsing ERROR: no tree in the NEXUS or phyloXML file!");
+		return tree.error;
+	}
+
+	/* pick a tree from a NEXUS file; return null if the user cancels */
+	var read_nexus = function(str) {
+		var nexus = kn_parse_nexus(str), k = 0;
+		if (nexus.tree.length == 0) return {error:8, n_tips:0, node:[]};
+		if (nexus.tree.length > 1) {
+			var msg = "This file contains " + nexus.tree.length + " trees. Enter the number of the tree to draw:\n";
+			for (var i = 0; i < nexus.tree.length && i < 20; ++i)
+				msg += "\n" + (i + 1) + ": " + nexus.tree[i].name;
+			if (nexus.tree.length > 20) msg += "\n...";
+			var ans = prompt(msg, "1");
+			if (ans == null) return null;
+			k = parseInt(ans) - 1;
+			if (isNaN(k) || k < 0 || k >= nexus.tree.length) {
+				alert("Error: no tree numbered '" + ans + "'!");
+				return null;
+			}
+		}
+		return kn_nexus_tree(nexus, k);
+	}
+
+	/* show text in a new browser window */
+	var open_text = function(str, type) {
+		var url = URL.createObjectURL(new Blob([str], {type:type || "text/plain"}));
+		window.open(url, "_blank");
+	}
+
+	this.export_nexus = function() {
+		if (kn_g_tree) open_text(kn_write_nexus(kn_g_tree));
+	}
+
+	this.export_phyloxml = function() {
+		if (kn_g_tree) open_text(kn_write_phyloxml(kn_g_tree), "text/xml");
+	}
+
+	this.export_svg = function() {
+		if (kn_g_tree) open_text(kn_plot_svg(kn_g_tree, kn_g_conf), "image/svg+xml");
+	}
+
+	/* the session, saved to localStorage and encoded in links: the text, whether it has been drawn, and the settings */
+	var session_timer = null, drawn_text = null;
+	var session_key = function() { return "knhx_session:" + location.pathname; }; // one session per page
+	var session_conf = ['width', 'fontsize', 'yskip', 'max_height', 'is_real', 'is_circular', 'is_unrooted', 'daylight', 'color_by',
+						'show_scale', 'show_axis', 'show_dup', 'save_view', 'consensus', 'zoom', 'pan_x', 'pan_y'];
+	var session_default = kn_init_conf();
+
+	/* check a restored setting against the type of its default, as a session may come from a link; return null if it is rejected */
+	var session_value = function(k, v) {
+		var d = session_default[k];
+		if (typeof d == 'number') {
+			if (typeof v == 'string' && /\S/.test(v)) v = Number(v); // set from the menu as text
+			return typeof v == 'number' && isFinite(v)? v : null;
+		}
+		if (typeof d == 'boolean') return typeof v == 'boolean'? v : null;
+		return typeof v == 'string' && /^[\w.\-]{0,32}$/.test(v)? v : null;
+	}
+
+	var get_session = function() {
+		var conf = {}, text = textarea.value, drawn = kn_g_tree != null && !kn_g_tree.error && text == drawn_text;
+		for (var i = 0; i < session_conf.length; ++i) conf[session_conf[i]] = kn_g_conf[session_conf[i]];
+		if (drawn && !kn_g_conf.save_view) text = kn_write_nh(kn_g_tree, true); // keep the view anyway
+		return {text:text, drawn:drawn, conf:conf};
+	}
+
+	var set_session = function(st) {
+		if (st == null || typeof st.text != 'string') return false;
+		for (var i = 0; st.conf && i < session_conf.length; ++i) {
+			var v = session_value(session_conf[i], st.conf[session_conf[i]]);
+			if (v != null) kn_g_conf[session_conf[i]] = v;
+		}
+		var view = [kn_g_conf.zoom, kn_g_conf.pan_x, kn_g_conf.pan_y];
+		textarea.value = st.text;
+		if (st.drawn && /\S/.test(st.text)) {
+			kn_actions.plot(st.text);
+			if (kn_g_tree && !kn_g_tree.error) {
+				kn_g_conf.zoom = view[0]; kn_g_conf.pan_x = view[1]; kn_g_conf.pan_y = view[2];
+				kn_plot_core(canvas, kn_g_tree, kn_g_conf);
+			}
+		}
+		return true;
+	}
+
+	/* save the session to localStorage now, or a second later if "later" is true */
+	this.autosave = function(later) {
+		if (!kn_g_conf.session) return;
+		if (session_timer != null) clearTimeout(session_timer);
+		session_timer = null;
+		if (later) {
+			session_timer = setTimeout(function() { kn_actions.autosave(); }, 1000);
+			return;
+		}
+		try {
+			var st = get_session();
+			st.time = new Date().getTime();
+			localStorage.setItem(session_key(), JSON.stringify(st));
+		} catch (e) {} // localStorage is disabled or full
+	}
+
+	/* offer to restore the session saved before the page was closed */
+	this.ask_restore = function() {
+		var st = null;
+		try {
+			st = JSON.parse(localStorage.getItem(session_key()));
+		} catch (e) {}
+		if (st == null || typeof st.text != 'string' || !/\S/.test(st.text) || st.text == textarea.value) return;
+		if (confirm("Restore the last session" + (st.time? ", saved at " + new Date(st.time).toLocaleString() : "") + "?"))
+			set_session(st);
+	}
+
+	var base64url = function(bytes) {
+		var str = '';
+		for (var i = 0; i < bytes.length; ++i) str += String.fromCharCode(bytes[i]);
+		return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+
+	var base64url_decode = function(str) {
+		var bin = atob(str.replace(/-/g, '+').replace(/_/g, '/')), bytes = new Uint8Array(bin.length);
+		for (var i = 0; i < bin.length; ++i) bytes[i] = bin.charCodeAt(i);
+		return bytes;
+	}
+
+	var pipe = function(bytes, stream, done, fail) { // pass bytes through a (de)compression stream
+		new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(function(buf) { done(new Uint8Array(buf)); }, fail);
+	}
+
+	/* encode the session as "z=" followed by compressed JSON in base64url, or "j=" if CompressionStream is unavailable */
+	var encode_session = function(done) {
+		var bytes = new TextEncoder().encode(JSON.stringify(get_session()));
+		var plain = function() { done('j=' + base64url(bytes)); };
+		if (typeof CompressionStream == 'undefined') plain();
+		else pipe(bytes, new CompressionStream('deflate-raw'), function(z) { done('z=' + base64url(z)); }, plain);
+	}
+
+	var decode_session = function(code, done, fail) {
+		var m = /^#?([zj])=(.*)$/.exec(code), bytes;
+		var parse = function(b) {
+			try {
+				done(JSON.parse(new TextDecoder().decode(b)));
+			} catch (e) {
+				fail();
+			}
+		};
+		try {
+			bytes = m? base64url_decode(m[2]) : null;
+		} catch (e) {}
+		if (bytes == null) fail();
+		else if (m[1] == 'j') parse(bytes);
+		else if (typeof DecompressionStream == 'undefined') fail();
+		else pipe(bytes, new DecompressionStream('deflate-raw'), parse, fail);
+	}
+
+	/* copy a link that rebuilds the current tree and settings from the URL fragment */
+	this.copy_link = function() {
+		encode_session(function(code) {
+			var url = location.href.replace(/#.*$/, '') + '#' + code;
+			var fallback = function() { prompt("Copy the link below:", url); };
+			if (typeof navigator != 'undefined' && navigator.clipboard && navigator.clipboard.writeText)
+				navigator.clipboard.writeText(url).then(null, fallback);
+			else fallback();
+		});
+	}
+
+	/* open a tree file in the Newick, NEXUS or phyloXML format, possibly gzip'd */
+	var file_name = "tree"; // the name of the opened file without extensions, for saving
+
+	this.read_file = function(file) {
+		if (file == null) return;
+		var reader = new FileReader();
+		var open = function(bytes) {
+			var str = new TextDecoder().decode(bytes);
+			file_name = file.name.replace(/\.gz$/i, '').replace(/\.[^.]*$/, '') || "tree";
+			textarea.value = str;
+			kn_actions.plot(str);
+		};
+		reader.onload = function() {
+			var bytes = new Uint8Array(reader.result);
+			if (bytes.length < 2 || bytes[0] != 0x1f || bytes[1] != 0x8b) open(bytes);
+			else if (typeof DecompressionStream == 'undefined') alert("Error: gzip'd files are not supported by this browser.");
+			else pipe(bytes, new DecompressionStream('gzip'), open, function() { alert("Error: failed to decompress " + file.name + "."); });
+		};
+		reader.onerror = function() { alert("Error: failed to read " + file.name + "."); };
+		reader.readAsArrayBuffer(file);
 	}
 
-	this.get = function(x, y) {
-		var id = kn_get_node(kn_g_tree, kn_g_conf, x, y);
+	this.open_file = function() {
+		var input = document.createElement("input");
+		input.type = "file";
+		input.accept = ".nwk,.newick,.nh,.nhx,.tre,.tree,.treefile,.nex,.nexus,.xml,.phyloxml,.txt,.gz";
+		input.onchange = function() { if (input.files.length) kn_actions.read_file(input.files[0]); };
+		input.click();
+	}
+
+	/* download the current tree as Newick ("nh"), NEXUS ("nexus"), phyloXML ("phyloxml") or SVG ("svg") */
+	this.save_as = function(format) {
+		var tree = kn_g_tree, str, type = "text/plain", ext;
+		if (tree == null || tree.error || tree.node.length == 0) return;
+		if (format == 'nexus') str = kn_write_nexus(tree), ext = ".nex";
+		else if (format == 'phyloxml') str = kn_write_phyloxml(tree), type = "text/xml", ext = ".xml";
+		else if (format == 'svg') str = kn_plot_svg(tree, kn_g_conf), type = "image/svg+xml", ext = ".svg";
+		else str = kn_write_nh(tree, kn_g_conf.save_view), ext = ".nwk";
+		var a = document.createElement("a");
+		a.href = URL.createObjectURL(new Blob([str], {type:type}));
+		a.download = file_name + ext;
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		setTimeout(function() { URL.revokeObjectURL(a.href); }, 1000);
+	}
+
+	/* rebuild the session from a link; return false if "hash" is not made by copy_link() */
+	this.open_link = function(hash) {
+		if (!/^#?[zj]=/.test(hash)) return false;
+		decode_session(hash, set_session, function() { alert("Error: the link is broken or not supported by this browser."); });
+		return true;
+	}
+
+	/* build the consensus of the trees in the text area */
+	this.consensus = function() {
+		var trees = kn_parse_trees(textarea.value), i;
+		for (i = 0; i < trees.length; ++i) {
+			if (trees[i].error) {
+				alert("Error in tree " + (i + 1) + ":");
+				parse_error(trees[i]);
+				return;
+			}
+		}
+		if (trees.length < 2) {
+			alert("Error: at least two trees are needed to build a consensus!");
+			return;
+		}
+		var ans = prompt("Building the consensus of " + trees.length + " trees. Keep clades supported by more than this fraction of trees"
+						 + " (1 for the strict consensus, which needs all trees; 0.5 for majority-rule; 0 for extended majority-rule):", kn_g_conf.consensus);
+		if (ans == null) return;
+		var thres = parseFloat(ans);
+		if (isNaN(thres) || thres < 0 || thres > 1) {
+			alert("Error: the fraction must be between 0 and 1!");
+			return;
+		}
+		kn_g_conf.consensus = thres;
+		if (kn_g_tree && kn_g_tree.node.length) push_undo(snapshot("Consensus of " + trees.length + " trees"));
+		var tree = kn_consensus(trees, thres);
+		kn_g_conf.zoom = 1.0; kn_g_conf.pan_x = kn_g_conf.pan_y = 0;
+		kn_plot_tree(canvas, tree, kn_g_conf);
+		kn_g_tree = tree;
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+	}
+
+	/* count how often the splits of the current tree appear in replicate trees */
+	this.map_support = function() {
+		if (!kn_g_tree || kn_g_tree.node.length == 0) return;
+		var str = prompt("Paste the replicate trees (Newick trees separated by semicolons, NEXUS or phyloXML):", "");
+		if (str == null || /^\s*$/.test(str)) return;
+		var reps = kn_parse_trees(str), i;
+		for (i = 0; i < reps.length; ++i) {
+			if (reps[i].error) {
+				alert("Error in replicate tree " + (i + 1) + ":");
+				parse_error(reps[i]);
+				return;
+			}
+		}
+		if (reps.length == 0) {
+			alert("Error: no replicate trees found!");
+			return;
+		}
+		push_undo(snapshot("Map support from " + reps.length + " trees"));
+		var m = kn_map_support(kn_g_tree, reps);
+		kn_g_tree.color = null; // B may be the tag to color by
+		kn_actions.plot();
+		set_text(kn_write_nh(kn_g_tree, kn_g_conf.save_view));
+		alert("Support from " + reps.length + " trees is written to the B tag of " + m + " nodes.");
+	}
+
+	/* compare the current tree with another one and mark the branches absent from the latter */
+	this.compare = function() {
+		if (!kn_g_tree) return;
+		var str = prompt("Paste the tree to compare with (Newick, NEXUS or phyloXML). Leave it empty to clear the marks.", "");
+		if (str == null) return;
+		var node = kn_expand_node(kn_g_tree.node[kn_g_tree.node.length-1], true), i;
+		for (i = 0; i < node.length; ++i) delete node[i].diff;
+		if (/^\s*$/.test(str)) {
+			kn_actions.plot();
+			return;
+		}
+		var tree = parse_text(str, false);
+		if (parse_error(tree)) {
+			kn_actions.plot();
+			return;
+		}
+		var r = kn_rf_dist(kn_g_tree, tree);
+		for (i = 0; i < r.only1.length; ++i) r.only1[i].diff = true;
+		kn_actions.plot();
+		alert("Robinson-Foulds distance: " + r.rf + " (normalized: " + r.norm.toFixed(4) + ")\n"
+			  + "Shared leaves: " + r.n_leaves + "\n"
+			  + "Splits only in the current tree (marked): " + r.n1 + "\n"
+			  + "Splits only in the other tree: " + r.n2);
+	}
+
+	/* Each history entry is {label, nh, root}: the text in the textarea and
+	 * a copy of the tree with the view state, both taken before an edit. */
+	var undo = [], redo = [];
+
+	var snapshot = function(label) {
+		var tree = kn_g_tree;
+		return {label:label, nh:textarea.value, root:kn_clone_node(tree.node[tree.node.length-1]), rooted:tree.rooted, name:tree.name};
+	}
+
+	var push_undo = function(e) {
+		undo.push(e);
+		if (undo.length > kn_g_conf.undo_depth) undo.splice(0, undo.length - kn_g_conf.undo_depth);
+		redo.length = 0;
+	}
+
+	var restore = function(e) {
+		var tree = new Object();
+		tree.error = 0;
+		tree.node = kn_expand_node(e.root);
+		tree.root = e.root;
+		if (e.rooted != null) tree.rooted = e.rooted; // as given by [&R] or [&U] in NEXUS
+		if (e.name != null) tree.name = e.name;
+		kn_count_tips(tree);
+		kn_g_tree = tree;
+		kn_g_conf.is_real = kn_calxy(tree, kn_g_conf.is_real);
+		kn_plot_core(canvas, tree, kn_g_conf);
+		textarea.value = drawn_text = e.nh;
+		kn_actions.autosave(true);
+	}
+
+	/* a short description of a node for history labels */
+	var node_label = function(p) {
+		if (p.name) return p.name;
+		var left = p, rght = p;
+		while (left.child.length) left = left.child[0];
+		while (rght.child.length) rght = rght.child[rght.child.length-1];
+		return left == rght? left.name : '(' + left.name + ' .. ' + rght.name + ')';
+	}
+
+	this.undo = function() {
+		if (undo.length == 0 || kn_g_tree == null) return;
+		var e = undo.pop();
+		redo.push(snapshot(e.label));
+		restore(e);
+	}
+
+	this.redo = function() {
+		if (redo.length == 0 || kn_g_tree == null) return;
+		var e = redo.pop();
+		undo.push(snapshot(e.label));
+		restore(e);
+	}
+
+	this.undo_label = function() { return undo.length? undo[undo.length-1].label : null; }
+
+	this.redo_label = function() { return redo.length? redo[redo.length-1].label : null; }
+
+	var set_text = function(str) {
+		textarea.value = drawn_text = str;
+		kn_actions.autosave(true);
+	}
+
+	/* rewrite the text from the tree, such as after changing kn_g_conf.save_view */
+	this.write_text = function() {
+		if (kn_g_tree && !kn_g_tree.error) set_text(kn_write_nh(kn_g_tree, kn_g_conf.save_view));
+	}
+
+	this.get = function(x, y, square_only) {
+		var id = kn_get_node(kn_g_tree, kn_g_conf, x, y, square_only);
 		return (id >= 0 && id < kn_g_tree.node.length)? id : -1;
 	}
 
@@ -835,45 +3163,197 @@ kn_actions = new function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length && tree.node[i].child.length) {
 			var p = tree.node[i];
+			push_undo(snapshot("Swap at " + node_label(p)));
 			var q = p.child[0];
-			for (j = 0; j < p.child.length-1; ++j)
+			for (var j = 0; j < p.child.length-1; ++j)
 				p.child[j] = p.child[j+1];
 			p.child[p.child.length-1] = q;
 			tree.node = kn_expand_node(tree.node[tree.node.length-1]);
 			conf.is_real = kn_calxy(tree, conf.is_real);
 			kn_g_tree = tree; kn_g_conf = conf;
 			kn_plot_core(canvas, tree, conf);
-			set_undo(conf, kn_write_nh(tree));
+			set_text(kn_write_nh(tree, kn_g_conf.save_view));
 		}
 	}
 
 	this.sort = function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length && tree.node[i].child.length) {
+			push_undo(snapshot("Ladderize " + node_label(tree.node[i])));
 			kn_reorder(tree.node[i]);
 			tree.node = kn_expand_node(tree.node[tree.node.length-1]);
 			conf.is_real = kn_calxy(tree, conf.is_real);
 			kn_g_tree = tree; kn_g_conf = conf;
 			kn_plot_core(canvas, tree, conf);
-			set_undo(conf, kn_write_nh(tree));
+			set_text(kn_write_nh(tree, kn_g_conf.save_view));
 		}
 	}
 
 	this.reroot = function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length) {
+			push_undo(snapshot("Reroot at " + node_label(tree.node[i])));
 			var new_root = kn_reroot(tree.node[tree.node.length-1], tree.node[i], -1.0);
 			tree.node = kn_expand_node(new_root);
 			kn_g_tree = tree;
 			conf.is_real = kn_calxy(tree, conf.is_real);
 			kn_plot_core(canvas, tree, conf);
-			set_undo(conf, kn_write_nh(tree));
+			set_text(kn_write_nh(tree, kn_g_conf.save_view));
 		}
 	}
 
+	this.midpoint = function() {
+		var tree = kn_g_tree, conf = kn_g_conf;
+		if (tree == null || tree.node.length == 0) return;
+		push_undo(snapshot("Midpoint root"));
+		var new_root = kn_reroot_midpoint(tree.node[tree.node.length-1]);
+		tree.node = kn_expand_node(new_root);
+		conf.is_real = kn_calxy(tree, conf.is_real);
+		kn_plot_core(canvas, tree, conf);
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+	}
+
+	/* Take the input as leaf names separated by commas or spaces, or as a
+	 * regular expression if it is not a list. Return an array of names or a
+	 * RegExp, or null if a listed name is not in the tree or on a bad regular
+	 * expression. */
+	var read_leaves = function(tree, str) {
+		var names = str.replace(/^[\s,]+|[\s,]+$/g, '').split(/[\s,]+/), h = {}, i;
+		var node = kn_expand_node(tree.node[tree.node.length-1], true);
+		for (i = 0; i < node.length; ++i)
+			if (node[i].child.length == 0) h[node[i].name] = true;
+		var missing = [], found = 0;
+		for (i = 0; i < names.length; ++i)
+			if (h[names[i]] == null) missing.push(names[i]);
+			else ++found;
+		if (missing.length == 0) return names;
+		// a list if there are commas, or several words that are leaf names or cannot be a regular expression
+		if (/,/.test(str) || (names.length > 1 && (found > 0 || !/[\\^$.|?*+()\[\]{}]/.test(str)))) {
+			alert("Error: " + missing.length + " of " + names.length + " names are not leaves of the tree: "
+				  + (missing.length > 10? missing.slice(0, 10).join(", ") + ", ..." : missing.join(", ")));
+			return null;
+		}
+		try {
+			return new RegExp(str.replace(/^\s+|\s+$/g, ''), 'i');
+		} catch (e) {
+			alert("Wrong regular expression: '" + str + "'");
+			return null;
+		}
+	}
+
+	/* Return the names of the leaves matching a search query (see kn_search_compile()), or null on a malformed query */
+	var query_leaves = function(tree, str) {
+		var f, names = [];
+		try {
+			f = kn_search_compile(str);
+		} catch (e) {
+			alert("Search ERROR: " + e.message);
+			return null;
+		}
+		var node = kn_expand_node(tree.node[tree.node.length-1], true);
+		for (var i = 0; i < node.length; ++i)
+			if (node[i].child.length == 0 && f(node[i])) names.push(node[i].name);
+		return names;
+	}
+
+	/* reroot with leaves given as a list of names or a regular expression */
+	this.outgroup = function() {
+		var tree = kn_g_tree, conf = kn_g_conf;
+		if (tree == null || tree.node.length == 0) return;
+		var str = prompt("Enter the outgroup as leaf names separated by commas or spaces, or as a regular expression:", "");
+		if (str == null || /^\s*$/.test(str)) return;
+		var outgroup = read_leaves(tree, str);
+		if (outgroup == null) return;
+		var entry = snapshot("Root with outgroup " + str);
+		var new_root = kn_reroot_outgroup(tree.node[tree.node.length-1], outgroup);
+		if (new_root == null) {
+			alert("Error: the outgroup must match some but not all leaves!");
+			return;
+		}
+		push_undo(entry);
+		tree.node = kn_expand_node(new_root);
+		conf.is_real = kn_calxy(tree, conf.is_real);
+		kn_plot_core(canvas, tree, conf);
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+	}
+
+	/* collapse all branches with support below a threshold */
+	this.collapse_weak = function() {
+		var tree = kn_g_tree, conf = kn_g_conf;
+		if (tree == null || tree.node.length == 0) return;
+		var str = prompt("Enter the support threshold, optionally followed by the NHX tag to read support from (B or numeric names by default):", "50");
+		if (str == null || /^\s*$/.test(str)) return;
+		var t = str.replace(/^\s+|\s+$/g, '').split(/\s+/), thres = parseFloat(t[0]);
+		if (isNaN(thres)) {
+			alert("Error: '" + t[0] + "' is not a number!");
+			return;
+		}
+		var entry = snapshot("Collapse branches below " + thres);
+		var n = kn_collapse_weak(tree.node[tree.node.length-1], thres, t[1]);
+		if (n > 0) {
+			push_undo(entry);
+			tree.node = kn_expand_node(tree.node[tree.node.length-1]);
+			conf.is_real = kn_calxy(tree, conf.is_real);
+			kn_plot_core(canvas, tree, conf);
+			set_text(kn_write_nh(tree, kn_g_conf.save_view));
+		}
+		alert(n + " branch" + (n == 1? " is" : "es are") + " collapsed.");
+	}
+
+	/* keep only leaves given as a list of names or a regular expression */
+	this.prune = function() {
+		var tree = kn_g_tree, conf = kn_g_conf;
+		if (tree == null || tree.node.length == 0) return;
+		var search = document.getElementById("searchLeaf");
+		var str = prompt("Enter the leaves to keep as names separated by commas or spaces, or as a regular expression. The search query given by default keeps the leaves it matches:", search? search.value : "");
+		if (str == null || /^\s*$/.test(str)) return;
+		var keep = search && str == search.value? query_leaves(tree, str) : read_leaves(tree, str);
+		if (keep == null) return;
+		var entry = snapshot("Keep leaves " + str), n_tips = tree.n_tips;
+		var new_root = kn_prune(tree.node[tree.node.length-1], keep);
+		if (new_root == null) {
+			alert("Error: no leaves match '" + str + "'!");
+			return;
+		}
+		push_undo(entry);
+		tree.node = kn_expand_node(new_root);
+		kn_count_tips(tree);
+		kn_g_conf.zoom = 1.0; kn_g_conf.pan_x = kn_g_conf.pan_y = 0;
+		kn_plot_tree(canvas, tree, conf);
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+		alert((n_tips - tree.n_tips) + " leaves are removed and " + tree.n_tips + " are kept.");
+	}
+
+	/* replace the tree with the clade descending from the node */
+	this.extract = function() {
+		var tree = kn_g_tree, conf = kn_g_conf, i = id;
+		if (tree == null || i >= tree.node.length || i == tree.node.length - 1) return;
+		push_undo(snapshot("Extract " + node_label(tree.node[i])));
+		var root = kn_clone_node(tree.node[i]);
+		root.parent = null;
+		tree = {error:0, node:kn_expand_node(root), root:root, rooted:tree.rooted, name:tree.name};
+		kn_count_tips(tree);
+		kn_g_conf.zoom = 1.0; kn_g_conf.pan_x = kn_g_conf.pan_y = 0;
+		kn_plot_tree(canvas, tree, conf);
+		kn_g_tree = tree;
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+	}
+
+	/* copy the clade descending from the node to the clipboard in the Newick format */
+	this.copy_newick = function() {
+		var tree = kn_g_tree, i = id;
+		if (tree == null || i >= tree.node.length) return;
+		var str = kn_write_nh({node:[tree.node[i]]}, kn_g_conf.save_view);
+		var fallback = function() { prompt("Copy the subtree below:", str.replace(/\n/g, '')); };
+		if (typeof navigator != 'undefined' && navigator.clipboard && navigator.clipboard.writeText)
+			navigator.clipboard.writeText(str).then(null, fallback);
+		else fallback();
+	}
+
 	this.collapse = function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length && tree.node[i].child.length) {
+			push_undo(snapshot((tree.node[i].hidden? "Expand " : "Collapse ") + node_label(tree.node[i])));
 			tree.node[i].hidden = !tree.node[i].hidden;
 			var nn = tree.node.length;
 			tree.node = kn_expand_node(tree.node[tree.node.length-1]);
@@ -881,32 +3361,54 @@ kn_actions = new function() {
 			conf.is_real = kn_calxy(tree, conf.is_real);
 			kn_g_tree = tree; kn_g_conf = conf;
 			kn_plot_core(canvas, tree, conf);
+			if (conf.save_view) set_text(kn_write_nh(tree, true));
 		}
 	}
 
 	this.remove = function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length) {
+			push_undo(snapshot("Remove " + node_label(tree.node[i])));
 			var new_root = kn_remove_node(tree, tree.node[i]);
 			tree.node = kn_expand_node(new_root);
 			kn_count_tips(tree);
 			kn_g_tree = tree;
 			conf.is_real = kn_calxy(tree, conf.is_real);
 			kn_plot_core(canvas, tree, conf);
-			set_undo(conf, kn_write_nh(tree));
+			set_text(kn_write_nh(tree, kn_g_conf.save_view));
 //			document.getElementById("n_leaves").innerHTML = "#leaves: "+tree.n_tips+";";
 		}
 	}
 
+	/* attach a new leaf or a subtree to the branch above the node */
+	this.graft = function() {
+		var tree = kn_g_tree, conf = kn_g_conf, i = id;
+		if (tree == null || i >= tree.node.length) return;
+		var str = prompt("Enter a leaf name with an optional branch length, such as \"GENE1 0.1\", or a subtree in the Newick format:", "");
+		if (str == null || /^\s*$/.test(str)) return;
+		var m = /^\s*([^\s(),:;\[\]]+)\s+([-+0-9.eE]+)\s*$/.exec(str);
+		var sub = kn_parse(m? m[1] + ':' + m[2] : str.replace(/;\s*$/, ''));
+		if (parse_error(sub) || sub.node.length == 0) return;
+		var p = sub.node[sub.node.length-1];
+		push_undo(snapshot("Graft " + node_label(p) + " to " + node_label(tree.node[i])));
+		var new_root = kn_graft_node(tree.node[tree.node.length-1], p, tree.node[i]);
+		tree.node = kn_expand_node(new_root);
+		kn_count_tips(tree);
+		conf.is_real = kn_calxy(tree, conf.is_real);
+		kn_plot_core(canvas, tree, conf);
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+	}
+
 	this.multifurcate = function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length && tree.node[i].child.length) {
+			push_undo(snapshot("Multifurcate " + node_label(tree.node[i])));
 			kn_multifurcate(tree.node[i]);
 			tree.node = kn_expand_node(tree.node[tree.node.length-1]);
 			conf.is_real = kn_calxy(tree, conf.is_real);
 			kn_g_tree = tree; kn_g_conf = conf;
 			kn_plot_core(canvas, tree, conf);
-			set_undo(conf, kn_write_nh(tree));
+			set_text(kn_write_nh(tree, kn_g_conf.save_view));
 		}
 	}
 
@@ -915,12 +3417,23 @@ kn_actions = new function() {
 			var p = tree.node[tree.active_node];
 			tree.active_node = null;
 			var ctx = canvas.getContext("2d");
-			ctx.fillStyle = (conf.show_dup && /:D=Y/i.test(p.meta))? conf.c_dup : conf.c_node;
-			ctx.fillRect(p.x * conf.real_x + conf.shift_x - conf.box_width/2,
-						 p.y * conf.real_y + conf.shift_y - conf.box_width/2, conf.box_width, conf.box_width);
+			ctx.fillStyle = (conf.show_dup && kn_nhx_get(p, 'D') === true)? conf.c_dup : p.color || conf.c_node;
+			var xy = kn_node_xy(conf, p);
+			ctx.fillRect(xy[0] - conf.box_width/2, xy[1] - conf.box_width/2, conf.box_width, conf.box_width);
 		}
 	}
 
+	var move_to = function(tree, conf, p, q) { // move p to the edge above q; return false if the move is invalid
+		if (!kn_can_move(tree, p, q)) return false;
+		push_undo(snapshot("Move " + node_label(p) + " to " + node_label(q)));
+		tree.node = kn_expand_node(kn_move_node(tree, p, q));
+		kn_g_tree = tree;
+		conf.is_real = kn_calxy(tree, conf.is_real);
+		kn_plot_core(canvas, tree, conf);
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+		return true;
+	}
+
 	this.move = function() {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		if (i < tree.node.length) {
@@ -928,16 +3441,8 @@ kn_actions = new function() {
 				//alert(tree.active_node + " -> " + i);
 				if (tree.node[tree.active_node].parent == tree.node[i]) {
 					alert("Error: cannot move a child to its parent!");
-				} else {
-					var new_root = kn_move_node(tree, tree.node[tree.active_node], tree.node[i]);
-					if (new_root) {
-						tree.node = kn_expand_node(new_root);
-						kn_g_tree = tree;
-						conf.is_real = kn_calxy(tree, conf.is_real);
-						kn_plot_core(canvas, tree, conf);
-						set_undo(conf, kn_write_nh(tree));
-					} else alert("Error: Invalid move!");
-				}
+				} else if (!move_to(tree, conf, tree.node[tree.active_node], tree.node[i]))
+					alert("Error: Invalid move!");
 				move_clear_mark(tree, conf);
 			} else {
 				tree.active_node = i;
@@ -945,12 +3450,238 @@ kn_actions = new function() {
 				var tmp = conf.box_width - 2;
 				var ctx = canvas.getContext("2d");
 				ctx.fillStyle = conf.c_active_node;
-				ctx.fillRect(p.x * conf.real_x + conf.shift_x - tmp/2,
-							 p.y * conf.real_y + conf.shift_y - tmp/2, tmp, tmp);
+				var xy = kn_node_xy(conf, p);
+				ctx.fillRect(xy[0] - tmp/2, xy[1] - tmp/2, tmp, tmp);
 			}
 		} else move_clear_mark(tree, conf);
 	}
 
+	/* drag the subtree of a node with the mouse or a finger and drop it onto a branch */
+	var drag_src = null, drag_sub = [], drag_to = -1, drag_xy = null;
+
+	var branch_xy = function(conf, p) { // the end points of the branch above p
+		var xy = kn_node_xy(conf, p), pxy = kn_node_xy(conf, p.parent);
+		if (conf.is_unrooted) return [pxy[0], pxy[1], xy[0], xy[1]];
+		if (conf.is_circular) {
+			var r = p.parent.x * conf.real_r, a = p.y * conf.full_arc;
+			return [conf.width/2 + r * Math.cos(a), conf.height/2 + r * Math.sin(a), xy[0], xy[1]];
+		}
+		return [pxy[0], xy[1], xy[0], xy[1]];
+	}
+
+	var draw_drag = function() {
+		var tree = kn_g_tree, conf = kn_g_conf, ctx = canvas.getContext("2d"), i;
+		var q = drag_to >= 0? tree.node[drag_to] : null, ok = q != null && kn_can_move(tree, drag_src, q);
+		// the target branch, or the root
+		if (q != null) {
+			ctx.strokeStyle = ok? conf.c_move_ok : conf.c_move_bad;
+			ctx.lineWidth = 4 / conf.zoom;
+			if (q.parent) {
+				var b = branch_xy(conf, q);
+				ctx.beginPath();
+				ctx.moveTo(b[0], b[1]);
+				ctx.lineTo(b[2], b[3]);
+				ctx.stroke();
+				ctx.closePath();
+			} else {
+				var xy = kn_node_xy(conf, q);
+				ctx.strokeRect(xy[0] - conf.box_width, xy[1] - conf.box_width, conf.box_width * 2, conf.box_width * 2);
+			}
+		}
+		// the ghost of the subtree with its root at the pointer
+		var s = kn_node_xy(conf, drag_src);
+		var dx = (drag_xy[0] - conf.pan_x) / conf.zoom - s[0], dy = (drag_xy[1] - conf.pan_y) / conf.zoom - s[1];
+		ctx.globalAlpha = 0.5;
+		ctx.strokeStyle = ctx.fillStyle = q != null && !ok? conf.c_move_bad : conf.c_active_node;
+		ctx.lineWidth = 2 / conf.zoom;
+		ctx.beginPath();
+		for (i = 0; i < drag_sub.length; ++i) {
+			var p = drag_sub[i];
+			if (p == drag_src) continue;
+			var a = kn_node_xy(conf, p.parent), b = branch_xy(conf, p);
+			ctx.moveTo(a[0] + dx, a[1] + dy);
+			ctx.lineTo(b[0] + dx, b[1] + dy);
+			ctx.lineTo(b[2] + dx, b[3] + dy);
+		}
+		ctx.stroke();
+		ctx.closePath();
+		ctx.fillRect(s[0] + dx - conf.box_width/2, s[1] + dy - conf.box_width/2, conf.box_width, conf.box_width);
+		ctx.font = conf.fontsize + "px Helvetica";
+		kn_drawText(ctx, conf, node_label(drag_src), s[0] + dx + conf.box_width, s[1] + dy - conf.box_width);
+		ctx.globalAlpha = 1;
+		ctx.lineWidth = 1;
+	}
+
+	/* start dragging node i; return false if it cannot be moved */
+	this.drag_begin = function(i) {
+		var tree = kn_g_tree;
+		if (tree == null || i < 0 || i >= tree.node.length - 1) return false;
+		drag_src = tree.node[i]; drag_sub = []; drag_to = -1; drag_xy = kn_node_xy(kn_g_conf, drag_src);
+		for (; i >= 0; --i) { // descendants immediately precede a node in tree.node
+			for (var r = tree.node[i]; r && r != drag_src; r = r.parent);
+			if (r == null) break;
+			drag_sub.push(tree.node[i]);
+		}
+		popmenu.hide();
+		return true;
+	}
+
+	/* move the ghost to (x,y) on the canvas and highlight the branch under it */
+	this.drag_over = function(x, y) {
+		if (drag_src == null) return;
+		drag_xy = [x, y]; drag_to = this.get(x, y);
+		canvas.style.cursor = drag_to >= 0 && !kn_can_move(kn_g_tree, drag_src, kn_g_tree.node[drag_to])? "no-drop" : "move";
+		redraw();
+	}
+
+	/* drop onto the branch at (x,y); nothing is changed if the move is invalid */
+	this.drag_end = function(x, y) {
+		if (drag_src == null) return;
+		var tree = kn_g_tree, conf = kn_g_conf, p = drag_src, i = this.get(x, y);
+		drag_src = null; drag_sub = []; drag_to = -1;
+		canvas.style.cursor = "";
+		if (i < 0 || !move_to(tree, conf, p, tree.node[i])) kn_plot_core(canvas, tree, conf);
+	}
+
+	/* select leaves with shift-click or a rubber band, and act on their most recent common ancestor */
+	var band = null; // the rubber band as [x0, y0, x1, y1] on the canvas
+
+	var selection = function() { // the selected nodes that are shown
+		var tree = kn_g_tree, sel = [];
+		for (var i = 0; i < tree.node.length; ++i)
+			if (tree.node[i].selected) sel.push(tree.node[i]);
+		return sel;
+	}
+
+	var draw_band = function() {
+		var conf = kn_g_conf, ctx = canvas.getContext("2d");
+		var x = (band[0] - conf.pan_x) / conf.zoom, y = (band[1] - conf.pan_y) / conf.zoom;
+		var w = (band[2] - band[0]) / conf.zoom, h = (band[3] - band[1]) / conf.zoom;
+		ctx.fillStyle = ctx.strokeStyle = conf.c_selected;
+		ctx.globalAlpha = 0.15;
+		ctx.fillRect(x, y, w, h);
+		ctx.globalAlpha = 1;
+		ctx.lineWidth = 1 / conf.zoom;
+		ctx.strokeRect(x, y, w, h);
+		ctx.lineWidth = 1;
+	}
+
+	/* the number of selected leaves */
+	this.selected = function() { return kn_g_tree? selection().length : 0; }
+
+	/* select the leaves shown below node i, or unselect them if they are all selected */
+	this.select = function(i) {
+		var tree = kn_g_tree;
+		if (tree == null || i < 0 || i >= tree.node.length) return;
+		var p = tree.node[i], leaves = [], all = true, j;
+		for (j = i; j >= 0; --j) { // descendants immediately precede a node in tree.node
+			for (var r = tree.node[j]; r && r != p; r = r.parent);
+			if (r == null) break;
+			if (tree.node[j].child.length == 0 || tree.node[j].hidden) leaves.push(tree.node[j]);
+		}
+		for (j = 0; j < leaves.length; ++j)
+			if (!leaves[j].selected) all = false;
+		for (j = 0; j < leaves.length; ++j) leaves[j].selected = !all;
+		kn_plot_core(canvas, tree, kn_g_conf);
+	}
+
+	this.select_clear = function() {
+		var tree = kn_g_tree;
+		if (tree == null) return;
+		for (var i = 0; i < tree.node.length; ++i) tree.node[i].selected = false;
+		kn_plot_core(canvas, tree, kn_g_conf);
+	}
+
+	/* stretch the rubber band from (x0,y0) to (x1,y1) on the canvas */
+	this.band_over = function(x0, y0, x1, y1) {
+		if (kn_g_tree == null) return;
+		band = [x0, y0, x1, y1];
+		redraw();
+	}
+
+	/* add the leaves inside the rubber band to the selection */
+	this.band_end = function() {
+		var tree = kn_g_tree, conf = kn_g_conf, b = band;
+		band = null;
+		if (tree == null || b == null) return;
+		var x0 = Math.min(b[0], b[2]), x1 = Math.max(b[0], b[2]), y0 = Math.min(b[1], b[3]), y1 = Math.max(b[1], b[3]);
+		for (var i = 0; i < tree.node.length; ++i) {
+			var p = tree.node[i];
+			if (p.child.length && !p.hidden) continue;
+			var xy = kn_node_xy(conf, p), x = xy[0] * conf.zoom + conf.pan_x, y = xy[1] * conf.zoom + conf.pan_y;
+			if (x >= x0 && x <= x1 && y >= y0 && y <= y1) p.selected = true;
+		}
+		kn_plot_core(canvas, tree, conf);
+	}
+
+	/* apply an action on a node, such as "collapse" or "highlight", to the MRCA of the selected leaves */
+	this.select_apply = function(action, arg) {
+		var tree = kn_g_tree, sel = tree? selection() : [];
+		if (sel.length == 0) return;
+		id = tree.node.indexOf(kn_mrca(sel));
+		this[action](arg);
+	}
+
+	/* tell whether the selected leaves form a clade, and if not, which leaves break it up */
+	this.monophyly = function() {
+		var tree = kn_g_tree, sel = tree? selection() : [];
+		if (sel.length == 0) return;
+		var m = kn_monophyly(sel), n = m.intruders.length, names = [];
+		if (n == 0) {
+			alert("The " + sel.length + " selected leaves are monophyletic.");
+			return;
+		}
+		for (var i = 0; i < n && i < 50; ++i) names.push(m.intruders[i].name);
+		alert("The " + sel.length + " selected leaves are not monophyletic. " + n + (n == 1? " other leaf descends" : " other leaves descend")
+			  + " from their most recent common ancestor: " + names.join(", ") + (n > 50? ", ..." : ""));
+	}
+
+	/* show a form for editing the name, the branch length and the NHX tags of the node */
+	this.edit = function(ev) {
+		var tree = kn_g_tree, i = id;
+		if (tree == null || i >= tree.node.length) return;
+		var p = tree.node[i];
+		var esc = function(s) { return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;'); };
+		var html = '<h4>Edit</h4><table>'
+			+ '<tr><td>Name:<td><input id="knEditName" size=18 value="' + esc(p.name) + '">'
+			+ '<tr><td>Length:<td><input id="knEditD" size=18 value="' + (p.d >= 0? p.d : '') + '">'
+			+ '<tr><td>Tags:<td><input id="knEditNHX" size=18 value="' + esc(kn_nhx_str(p).replace(/^\[&&NHX:?|\]$/g, '')) + '">'
+			+ '</table>'
+			+ '<a href="javascript:void(0);" onClick="kn_actions.edit_save();">Save</a>'
+			+ '<a href="javascript:void(0);" onClick="popmenu.hide();">Cancel</a>';
+		popmenu.show(ev, html, "250px");
+	}
+
+	/* apply the form shown by kn_actions.edit() */
+	this.edit_save = function() {
+		var tree = kn_g_tree, conf = kn_g_conf, i = id;
+		if (tree == null || i >= tree.node.length) return;
+		var p = tree.node[i], trim = function(s) { return s.replace(/^\s+|\s+$/g, ''); };
+		var name = trim(document.getElementById("knEditName").value);
+		var d = trim(document.getElementById("knEditD").value);
+		var tags = trim(document.getElementById("knEditNHX").value);
+		if (/[(),:;\[\]]/.test(name)) {
+			alert("Error: a name cannot contain any of ( ) , : ; [ ]");
+			return;
+		}
+		if (d != '' && !(Number(d) >= 0)) {
+			alert("Error: the branch length must be a non-negative number!");
+			return;
+		}
+		if (/[\[\]]/.test(tags)) {
+			alert("Error: tags are written as KEY=VALUE separated by ':' and cannot contain [ or ]");
+			return;
+		}
+		push_undo(snapshot("Edit " + node_label(p)));
+		p.name = name;
+		p.d = d == ''? -1.0 : Number(d);
+		p.nhx = kn_nhx_parse({}, tags);
+		popmenu.hide();
+		conf.is_real = kn_calxy(tree, conf.is_real);
+		kn_plot_core(canvas, tree, conf);
+		set_text(kn_write_nh(tree, kn_g_conf.save_view));
+	}
+
 	this.highlight = function(color) {
 		var tree = kn_g_tree, conf = kn_g_conf, i = id;
 		var lookup = { white : '#FFFFFF', red : '#FFD8D0', green : '#D8FFC0', blue : '#C0D8FF',
@@ -962,13 +3693,15 @@ kn_actions = new function() {
 			var c = color;
 			if (c == 'none') c = null;
 			if (c != tree.node[i].box) {
+				push_undo(snapshot((c? "Highlight " : "Unhighlight ") + node_label(tree.node[i])));
 				tree.node[i].box = c;
 				kn_g_tree = tree; kn_g_conf = conf;
 				kn_plot_core(canvas, tree, conf);
+				if (conf.save_view) set_text(kn_write_nh(tree, true));
 			}
 			// highlight text
 			var selbeg, selend;
-			o = textarea;
+			var o = textarea;
 			if (tree.node[i].child.length == 0) {
 				selbeg = o.value.indexOf(tree.node[i].name);
 				selend = selbeg + tree.node[i].name.length;
@@ -1017,16 +3750,20 @@ kn_actions = new function() {
 	}
 }
 
-knhx_init = function(canvasId, textareaId) {
+var knhx_init = function(canvasId, textareaId) {
 
 	var kn_actions_html = '<h4>Actions</h4>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.edit(event);">Edit</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.swap();">Swap</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.sort();">Ladderize</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.collapse();">Collapse</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.reroot();">Reroot</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.move();">Move</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.graft();">Graft here</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.multifurcate();">Multifurcate</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.remove();">Remove</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.extract();">Extract</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.copy_newick();">Copy Newick</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.highlight(\'none\');" class="alt">&nbsp;</a>'
 		+ '<a href="javascript:void(0);" class="alt" onClick="kn_actions.highlight(\'red\');" style="background-color:#FFD8D0;">&nbsp;</a>'
 		+ '<a href="javascript:void(0);" class="alt" onClick="kn_actions.highlight(\'green\');" style="background-color:#D0FFC0;">&nbsp;</a>'
@@ -1034,18 +3771,70 @@ knhx_init = function(canvasId, textareaId) {
 		+ '<a href="javascript:void(0);" onClick="kn_actions.highlight(\'yellow\');" class="alt" style="background-color:#FFFFC8;">&nbsp;</a>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.highlight(\'cyan\');" class="alt" style="background-color:#D8FFFF;">&nbsp;</a>'
 
+	var esc = function(s) { return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;'); };
+
+	var select_html = function() {
+		var n = kn_actions.selected(), act = function(a, c) { return 'kn_actions.select_apply(\'' + a + '\'' + (c? ', \'' + c + '\'' : '') + ');'; };
+		return '<h4>' + n + (n == 1? ' leaf' : ' leaves') + '</h4>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.monophyly();">Monophyletic?</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.select_clear(); popmenu.hide();">Clear selection</a>'
+		+ '<h4>MRCA</h4>'
+		+ '<a href="javascript:void(0);" onClick="' + act('collapse') + '">Collapse</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('reroot') + '">Reroot</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('extract') + '">Extract</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('highlight', 'none') + '" class="alt">&nbsp;</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('highlight', 'red') + '" class="alt" style="background-color:#FFD8D0;">&nbsp;</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('highlight', 'green') + '" class="alt" style="background-color:#D0FFC0;">&nbsp;</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('highlight', 'blue') + '" class="alt" style="background-color:#C0D8FF;">&nbsp;</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('highlight', 'yellow') + '" class="alt" style="background-color:#FFFFC8;">&nbsp;</a>'
+		+ '<a href="javascript:void(0);" onClick="' + act('highlight', 'cyan') + '" class="alt" style="background-color:#D8FFFF;">&nbsp;</a>';
+	}
+
+	var history_html = function() {
+		var html = '', u = kn_actions.undo_label(), r = kn_actions.redo_label();
+		if (u != null) html += '<a href="javascript:void(0);" onClick="kn_actions.undo();">Undo: ' + esc(u) + '</a>';
+		if (r != null) html += '<a href="javascript:void(0);" onClick="kn_actions.redo();">Redo: ' + esc(r) + '</a>';
+		return html;
+	}
+
 	var menu_html = function() {
 		return '<h4>Menu</h4>'
 		+ '<a href="javascript:void(0);" onClick="kn_actions.plot_str();">Draw tree</a>'
-		+ '<a href="javascript:void(0);" onClick="kn_actions.undo_redo();">Undo/Redo</a>'
-		+ '<a href="javascript:void(0);" id="searchButton" style="display: inline" onClick="kn_search_leaf(kn_g_tree,document.getElementById(\'searchLeaf\').value);kn_actions.plot();">Search</a>: <input id="searchLeaf" size=12 onkeydown="if (event.keyCode == 13) kn_search_leaf(kn_g_tree,document.getElementById(\'searchLeaf\').value); kn_actions.plot();">'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.open_file();">Open file...</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.fit();">Fit to window</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.midpoint();">Midpoint root</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.outgroup();">Root with outgroup...</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.collapse_weak();">Collapse weak branches...</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.prune();">Keep only matching leaves...</a>'
+		+ history_html()
+		+ '<a href="javascript:void(0);" onClick="kn_actions.export_svg();">Export SVG</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.export_nexus();">Export NEXUS</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.export_phyloxml();">Export phyloXML</a>'
+		+ (kn_g_conf.session? '<a href="javascript:void(0);" onClick="kn_actions.copy_link();">Copy link</a>' : '')
+		+ '<span style="padding-left: 6px; font-weight: bold;">Save as:</span> <a href="javascript:void(0);" style="display: inline" onClick="kn_actions.save_as(\'nh\');">Newick</a>'
+		+ ' <a href="javascript:void(0);" style="display: inline" onClick="kn_actions.save_as(\'nexus\');">NEXUS</a>'
+		+ ' <a href="javascript:void(0);" style="display: inline" onClick="kn_actions.save_as(\'phyloxml\');">phyloXML</a>'
+		+ ' <a href="javascript:void(0);" style="display: inline" onClick="kn_actions.save_as(\'svg\');">SVG</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.compare();">Compare with...</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.consensus();">Consensus</a>'
+		+ '<a href="javascript:void(0);" onClick="kn_actions.map_support();">Map support...</a>'
+		+ '<a href="javascript:void(0);" id="searchButton" style="display: inline" onClick="kn_actions.search();">Search</a>: <input id="searchLeaf" size=12 value="' + esc(kn_actions.search_query()) + '" title="e.g. CCNK, S=HUMAN OR S=MOUSE, D=Y AND B&lt;70" onkeydown="if (event.keyCode == 13) kn_actions.search();">'
+		+ '<br><a href="javascript:void(0);" style="display: inline" onClick="kn_actions.search_next(-1);">&lt;</a> <span id="searchHits">' + kn_actions.search_hits() + '</span> <a href="javascript:void(0);" style="display: inline" onClick="kn_actions.search_next(1);">&gt;</a>'
+		+ ' <input type="checkbox" id="searchMRCA"' + (kn_g_tree && kn_g_tree.mrca? ' checked' : '') + ' onClick="kn_actions.search();"> MRCA'
 		+ '<h4>Configurations</h4>'
-		+ '<table><tr><td>Width:<td><input size=5 value="' + kn_g_conf.width + '" onBlur="kn_g_conf.width=this.value;">'
-		+ '<tr><td>Font size:<td><input size=5 value="' + kn_g_conf.fontsize + '" onBlur="kn_g_conf.fontsize=this.value;">'
-		+ '<tr><td>Spacing:<td><input size=5 value="' + kn_g_conf.yskip + '" onBlur="kn_g_conf.yskip=this.value;">'
-		+ '<tr><td>2nd label:<td><input size=10 value="' + kn_g_conf.regex + '" onBlur="kn_g_conf.regex=this.value;">'
+		+ '<table><tr><td>Width:<td><input size=5 value="' + esc(kn_g_conf.width) + '" onBlur="kn_g_conf.width=this.value;">'
+		+ '<tr><td>Font size:<td><input size=5 value="' + esc(kn_g_conf.fontsize) + '" onBlur="kn_g_conf.fontsize=this.value;">'
+		+ '<tr><td>Spacing:<td><input size=5 value="' + esc(kn_g_conf.yskip) + '" onBlur="kn_g_conf.yskip=this.value;">'
+		+ '<tr><td>Max height:<td><input size=5 value="' + esc(kn_g_conf.max_height) + '" onBlur="kn_g_conf.max_height=this.value;">'
+		+ '<tr><td>2nd label:<td><input size=10 value="' + esc(kn_g_conf.regex) + '" onBlur="kn_g_conf.regex=this.value;">'
+		+ '<tr><td>Color by:<td><input size=5 value="' + esc(kn_g_conf.color_by) + '" onBlur="kn_g_conf.color_by=this.value;">'
 	    + '<tr><td>Phylogram:<td><input type="checkbox" '+(kn_g_conf.is_real? 'checked="yes"':'')+'" onChange="kn_g_conf.is_real=this.checked;">'
 	    + '<tr><td>Circular:<td><input type="checkbox" '+(kn_g_conf.is_circular? 'checked="yes"':'')+'" onChange="kn_g_conf.is_circular=this.checked;">'
+	    + '<tr><td>Scale bar:<td><input type="checkbox" '+(kn_g_conf.show_scale? 'checked="yes"':'')+'" onChange="kn_g_conf.show_scale=this.checked;">'
+	    + '<tr><td>Axis:<td><input type="checkbox" '+(kn_g_conf.show_axis? 'checked="yes"':'')+'" onChange="kn_g_conf.show_axis=this.checked;">'
+	    + '<tr><td>Save view:<td><input type="checkbox" '+(kn_g_conf.save_view? 'checked="yes"':'')+'" onChange="kn_g_conf.save_view=this.checked;kn_actions.write_text();">'
+	    + '<tr><td>Unrooted:<td><input type="checkbox" '+(kn_g_conf.is_unrooted? 'checked="yes"':'')+'" onChange="kn_g_conf.is_unrooted=this.checked;">'
+		+ '<tr><td>Daylight:<td><input size=5 value="' + esc(kn_g_conf.daylight) + '" onBlur="kn_g_conf.daylight=this.value;">'
 		+ '</table>'
 		+ '<h4>Information</h4>'
 		+ '<table><tr><td># leaves:<td>'+(kn_g_tree?kn_g_tree.n_tips:0)
@@ -1054,7 +3843,7 @@ knhx_init = function(canvasId, textareaId) {
 		+ '</table>'
 	}
 
-	function ev_canvas(ev) {
+	function ev_xy(ev) {
 		if (ev.layerX || ev.layerX == 0) { // Firefox
 			ev._x = ev.layerX;
 			ev._y = ev.layerY;
@@ -1071,9 +3860,21 @@ knhx_init = function(canvasId, textareaId) {
 			ev._x = ev.clientX - (o.offsetLeft - d.scrollLeft) - 3;
 			ev._y = ev.clientY - (o.offsetTop - d.scrollTop) - 3;
 		}
+	}
+
+	function ev_canvas(ev) {
+		if (dragged) { // the click ends panning
+			dragged = false;
+			return;
+		}
+		ev_xy(ev);
 		if (kn_g_tree) {
 			var id = kn_actions.get(ev._x, ev._y);
-			if (id >= 0) {
+			if (ev.shiftKey && (id >= 0 || kn_actions.selected())) { // add to or remove from the selection
+				if (id >= 0) kn_actions.select(id);
+				if (kn_actions.selected()) popmenu.show(ev, select_html(), "98px");
+				else popmenu.hide();
+			} else if (id >= 0) {
 				kn_actions.set_id(id);
 				if (kn_g_tree.active_node == null) popmenu.show(ev, kn_actions_html, "98px");
 				else kn_actions.move();
@@ -1084,9 +3885,132 @@ knhx_init = function(canvasId, textareaId) {
 	var canvas = document.getElementById(canvasId);
 	var textarea = document.getElementById(textareaId);
 
+	// zoom with the mouse wheel and pan by dragging
+	var drag = null, dragged = false;
+
+	function ev_wheel(ev) {
+		if (!kn_g_tree || kn_g_tree.error) return;
+		ev.preventDefault();
+		ev_xy(ev);
+		tip_hide();
+		kn_actions.zoom(Math.exp(-ev.deltaY * (ev.deltaMode == 1? 0.05 : 0.002)), ev._x, ev._y);
+	}
+
+	function ev_pos(ev) { // the position of a mouse or a touch event on the canvas
+		var r = canvas.getBoundingClientRect();
+		return [ev.clientX - r.left, ev.clientY - r.top];
+	}
+
+	function ev_down(ev) { // pressing on a node square drags its subtree; pressing elsewhere pans; with shift, a rubber band selects leaves
+		dragged = false;
+		tip_hide();
+		if (ev.button != 0 || !kn_g_tree || kn_g_tree.error) return;
+		var xy = ev_pos(ev);
+		drag = {x:ev.clientX, y:ev.clientY, id:kn_actions.get(xy[0], xy[1], true), node:false, band:ev.shiftKey? xy : null};
+	}
+
+	function ev_move(ev) {
+		if (drag == null || !kn_g_tree || kn_g_tree.error) return;
+		var dx = ev.clientX - drag.x, dy = ev.clientY - drag.y;
+		if (!dragged && Math.abs(dx) + Math.abs(dy) < 4) return;
+		if (!dragged) {
+			popmenu.hide();
+			if (drag.band == null) drag.node = kn_actions.drag_begin(drag.id);
+		}
+		dragged = true;
+		if (drag.band) {
+			var xy = ev_pos(ev);
+			kn_actions.band_over(drag.band[0], drag.band[1], xy[0], xy[1]);
+			return;
+		}
+		if (drag.node) {
+			var xy = ev_pos(ev);
+			kn_actions.drag_over(xy[0], xy[1]);
+			return;
+		}
+		drag.x = ev.clientX; drag.y = ev.clientY;
+		kn_actions.pan(dx, dy);
+	}
+
+	function ev_up(ev) {
+		if (drag && drag.node) {
+			var xy = ev_pos(ev);
+			kn_actions.drag_end(xy[0], xy[1]);
+		} else if (drag && drag.band && dragged) {
+			kn_actions.band_end();
+			if (kn_actions.selected()) popmenu.show(ev, select_html(), "98px");
+		}
+		drag = null;
+	}
+
+	// the same with one finger; a touch that does not move is taken as a click
+	var touch = null;
+
+	function ev_touch_start(ev) {
+		if (ev.touches.length != 1) { // leave pinching to the browser
+			if (drag && drag.node) kn_actions.drag_end(-1, -1); // cancel the move
+			drag = touch = null;
+			return;
+		}
+		touch = {button:0, clientX:ev.touches[0].clientX, clientY:ev.touches[0].clientY};
+		ev_down(touch);
+	}
+
+	function ev_touch_move(ev) {
+		if (drag == null || ev.touches.length != 1) return;
+		ev.preventDefault();
+		touch = {button:0, clientX:ev.touches[0].clientX, clientY:ev.touches[0].clientY};
+		ev_move(touch);
+	}
+
+	function ev_touch_end(ev) {
+		if (drag && touch) ev_up(touch);
+		touch = null;
+	}
+
+	// show the details of the node under the mouse
+	var tip = null, tip_node = null;
+
+	function tip_hide() {
+		if (tip) tip.style.visibility = "hidden";
+		tip_node = null;
+	}
+
+	function ev_hover(ev) {
+		if (tip == null || drag != null || !kn_g_tree || kn_g_tree.error || !kn_g_conf.tooltip) {
+			tip_hide();
+			return;
+		}
+		var xy = ev_pos(ev), id = kn_actions.get(xy[0], xy[1]);
+		if (id < 0) {
+			tip_hide();
+			return;
+		}
+		if (kn_g_tree.node[id] != tip_node) {
+			tip_node = kn_g_tree.node[id];
+			tip.innerHTML = kn_node_info(tip_node, kn_g_conf.tooltip);
+		}
+		var x = xy[0] + 12, y = xy[1] + 12;
+		if (x + tip.offsetWidth > kn_g_conf.width) x = xy[0] - 12 - tip.offsetWidth; // keep it within the canvas
+		tip.style.left = (x > 0? x : 0) + "px";
+		tip.style.top = y + "px";
+		tip.style.visibility = "visible";
+	}
+
 	kn_actions.init(canvas, textarea);
-	if (canvas.addEventListener) canvas.addEventListener('click', ev_canvas, false);
-	else canvas.attachEvent('onclick', ev_canvas);
+	if (canvas.addEventListener) {
+		canvas.addEventListener('click', ev_canvas, false);
+		canvas.addEventListener('wheel', ev_wheel, {passive:false});
+		canvas.addEventListener('touchstart', ev_touch_start, {passive:true});
+		canvas.addEventListener('touchmove', ev_touch_move, {passive:false});
+		canvas.addEventListener('touchend', ev_touch_end, false);
+		canvas.addEventListener('touchcancel', ev_touch_end, false);
+	} else canvas.attachEvent('onclick', ev_canvas);
+	listenEvent(canvas, 'mousedown', ev_down);
+	listenEvent(window, 'mousemove', ev_move);
+	listenEvent(window, 'mouseup', ev_up);
+	listenEvent(canvas, 'mousemove', ev_hover);
+	listenEvent(canvas, 'mouseout', tip_hide);
 
 	var insert_elements = function() {
 		// put the canvas in a container
@@ -1097,7 +4021,62 @@ knhx_init = function(canvasId, textareaId) {
 		canvas_parent.removeChild(canvas);
 		canvas_parent.appendChild(o);
 		o.appendChild(canvas);
+		// open files dropped onto the canvas
+		var drop_over = function(ev) {
+			if (!ev.dataTransfer || Array.prototype.indexOf.call(ev.dataTransfer.types || [], "Files") < 0) return;
+			ev.preventDefault();
+			ev.dataTransfer.dropEffect = "copy";
+			o.style.outline = "2px dashed #F7B54A";
+		};
+		listenEvent(o, 'dragenter', drop_over);
+		listenEvent(o, 'dragover', drop_over);
+		listenEvent(o, 'dragleave', function(ev) { o.style.outline = ""; });
+		listenEvent(o, 'drop', function(ev) {
+			o.style.outline = "";
+			if (!ev.dataTransfer || ev.dataTransfer.files.length == 0) return;
+			ev.preventDefault();
+			kn_actions.read_file(ev.dataTransfer.files[0]);
+		});
+		// the tooltip over the canvas
+		tip = document.createElement("div");
+		tip.setAttribute('id', 'knTooltip');
+		tip.setAttribute('style', 'position: absolute; visibility: hidden; z-index: 50; pointer-events: none; white-space: nowrap; '
+						 + 'padding: 2px 6px; background-color: #FFFFF0; border: 1px solid #CCC; font: 12px sans-serif; line-height: 16px;');
+		o.appendChild(tip);
 	}
 
 	insert_elements();
+
+	// rebuild the tree from a link made by "Copy link", or offer to restore the last session
+	if (kn_g_conf.session) {
+		listenEvent(window, 'pagehide', function() { kn_actions.autosave(); });
+		listenEvent(window, 'hashchange', function() { kn_actions.open_link(location.hash); });
+		if (!kn_actions.open_link(location.hash)) kn_actions.ask_restore();
+	}
+}
+
+/* Export the library to Node.js and bundlers. The DOM-specific part above
+ * is not run on loading; call knhx_init() to set up the viewer in a page
+ * that also loads menu.js. */
+if (typeof module != 'undefined' && module.exports) {
+	module.exports = {
+		// parsing and output
+		kn_parse: kn_parse, kn_write_nh: kn_write_nh,
+		kn_nhx_parse: kn_nhx_parse, kn_nhx_str: kn_nhx_str, kn_nhx_get: kn_nhx_get, kn_nhx_set: kn_nhx_set, kn_nhx_order: kn_nhx_order,
+		kn_parse_nexus: kn_parse_nexus, kn_nexus_tree: kn_nexus_tree, kn_write_nexus: kn_write_nexus,
+		kn_parse_phyloxml: kn_parse_phyloxml, kn_write_phyloxml: kn_write_phyloxml,
+		// manipulation
+		kn_new_node: kn_new_node, kn_expand_node: kn_expand_node, kn_clone_node: kn_clone_node, kn_count_tips: kn_count_tips,
+		kn_search_leaf: kn_search_leaf, kn_search_compile: kn_search_compile, kn_search: kn_search, kn_mrca: kn_mrca, kn_monophyly: kn_monophyly, kn_remove_node: kn_remove_node, kn_can_move: kn_can_move, kn_move_node: kn_move_node, kn_graft_node: kn_graft_node, kn_prune: kn_prune,
+		kn_reroot: kn_reroot, kn_reroot_midpoint: kn_reroot_midpoint, kn_reroot_outgroup: kn_reroot_outgroup, kn_multifurcate: kn_multifurcate, kn_get_support: kn_get_support, kn_collapse_weak: kn_collapse_weak, kn_reorder: kn_reorder,
+		// comparison
+		kn_parse_trees: kn_parse_trees, kn_get_splits: kn_get_splits, kn_rf_dist: kn_rf_dist, kn_consensus: kn_consensus, kn_map_support: kn_map_support,
+		// layout and plotting
+		kn_init_conf: kn_init_conf, kn_view_height: kn_view_height, kn_view_rect: kn_view_rect, kn_zoom: kn_zoom, kn_zoom_fit: kn_zoom_fit, kn_pan_to: kn_pan_to,
+		kn_calxy: kn_calxy, kn_calxy_U: kn_calxy_U, kn_node_xy: kn_node_xy, kn_hit_index: kn_hit_index, kn_get_node: kn_get_node, kn_node_info: kn_node_info,
+		kn_plot_core: kn_plot_core, kn_plot_core_O: kn_plot_core_O, kn_plot_core_U: kn_plot_core_U, kn_plot_str: kn_plot_str, kn_plot_tree: kn_plot_tree,
+		kn_svg_context: kn_svg_context, kn_plot_svg: kn_plot_svg, kn_color_by: kn_color_by, kn_palette: kn_palette,
+		// the browser viewer
+		kn_actions: kn_actions, knhx_init: knhx_init
+	};
 }